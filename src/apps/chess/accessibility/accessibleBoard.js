@@ -0,0 +1,278 @@
+import { PieceType, PieceColor } from '../game/chessGame.js';
+
+const FILES = 'abcdefgh';
+
+// Shift plus a piece letter lists every piece of that type.
+const PIECE_KEYS = {
+  K: PieceType.KING,
+  Q: PieceType.QUEEN,
+  R: PieceType.ROOK,
+  B: PieceType.BISHOP,
+  N: PieceType.KNIGHT,
+  P: PieceType.PAWN,
+};
+
+const GRID_STEPS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+};
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function squareName(index) {
+  return `${FILES[index % 8]}${8 - Math.floor(index / 8)}`;
+}
+
+function describeSquare(index, piece) {
+  return piece ? `${squareName(index)}, ${piece.color} ${piece.type}` : `${squareName(index)}, empty`;
+}
+
+function describeOccupants(pieces) {
+  if (pieces.length === 0) {
+    return 'empty';
+  }
+  return pieces.map((piece) => `${squareName(piece.index)} ${piece.color} ${piece.type}`).join(', ');
+}
+
+// Ranks are numbered 1-8 and read from the a-file.
+function describeRank(pieces, rank) {
+  const row = 8 - rank;
+  const occupants = pieces.filter((piece) => piece.row === row).sort((a, b) => a.col - b.col);
+  return `Rank ${rank}: ${describeOccupants(occupants)}.`;
+}
+
+// Files are read from the first rank up.
+function describeFile(pieces, file) {
+  const col = FILES.indexOf(file);
+  const occupants = pieces.filter((piece) => piece.col === col).sort((a, b) => b.row - a.row);
+  return `File ${file}: ${describeOccupants(occupants)}.`;
+}
+
+function describePieceType(pieces, type) {
+  return [PieceColor.WHITE, PieceColor.BLACK]
+    .map((color) => {
+      const squares = pieces
+        .filter((piece) => piece.type === type && piece.color === color)
+        .map((piece) => squareName(piece.index))
+        .sort();
+      return `${capitalize(color)} ${type}s: ${squares.length > 0 ? squares.join(', ') : 'none'}.`;
+    })
+    .join(' ');
+}
+
+// Spoken form of a history entry, e.g. "Black plays knight takes e4, check".
+function describeMove(entry) {
+  let action;
+  if (entry.castle) {
+    action = `castles ${entry.castle === 'king' ? 'kingside' : 'queenside'}`;
+  } else if (entry.drop) {
+    action = `drops a ${entry.piece} on ${entry.to}`;
+  } else {
+    action = `plays ${entry.piece} ${entry.captured ? 'takes' : 'to'} ${entry.to}`;
+    if (entry.enPassant) {
+      action += ' en passant';
+    }
+    if (entry.promotion) {
+      action += `, promotes to ${entry.promotion}`;
+    }
+  }
+  const suffix = entry.checkmate ? ', checkmate' : entry.check ? ', check' : '';
+  return `${capitalize(entry.color)} ${action}${suffix}`;
+}
+
+// A hidden but focusable 8x8 ARIA grid that mirrors the 3D board for assistive technology, plus a
+// live region for move announcements. Rows follow the player's side, so "up" is always forward.
+export class AccessibleBoard {
+  constructor(grid, announcer, { onActivate, onFocusSquare } = {}) {
+    this.grid = grid;
+    this.announcer = announcer;
+    this.onActivate = onActivate;
+    this.onFocusSquare = onFocusSquare;
+    this.cells = [];
+    this.rows = [];
+    this.pieces = [];
+    this.orientation = PieceColor.WHITE;
+    this.focusIndex = 60;
+    this.historyLength = 0;
+    this.lastEntry = null;
+    this.selectedSquare = null;
+    this.announceTimer = null;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+
+    this.build();
+    this.grid.addEventListener('keydown', this.handleKeyDown);
+    this.grid.addEventListener('focusin', this.handleFocusIn);
+    this.grid.addEventListener('click', this.handleClick);
+  }
+
+  build() {
+    for (let row = 0; row < 8; row += 1) {
+      const rowElement = document.createElement('div');
+      rowElement.setAttribute('role', 'row');
+      this.rows.push(rowElement);
+    }
+    for (let index = 0; index < 64; index += 1) {
+      const cell = document.createElement('div');
+      cell.setAttribute('role', 'gridcell');
+      cell.dataset.square = String(index);
+      cell.tabIndex = index === this.focusIndex ? 0 : -1;
+      cell.textContent = describeSquare(index, null);
+      this.cells.push(cell);
+    }
+    this.layout();
+  }
+
+  // Places rows and cells in reading order for the current orientation.
+  layout() {
+    const flipped = this.orientation === PieceColor.BLACK;
+    this.rows.forEach((rowElement, position) => {
+      const row = flipped ? 7 - position : position;
+      const cells = [];
+      for (let file = 0; file < 8; file += 1) {
+        const col = flipped ? 7 - file : file;
+        cells.push(this.cells[row * 8 + col]);
+      }
+      rowElement.replaceChildren(...cells);
+    });
+    this.grid.replaceChildren(...this.rows);
+  }
+
+  // `state` is the App's onStateChange payload.
+  update(state) {
+    const { board, history } = state;
+    if (board.orientation !== this.orientation) {
+      this.orientation = board.orientation;
+      this.layout();
+    }
+    this.pieces = board.pieces;
+    const pieceAt = new Map(board.pieces.map((piece) => [piece.index, piece]));
+    const targets = new Set(board.legalTargets);
+    this.cells.forEach((cell, index) => {
+      let label = describeSquare(index, pieceAt.get(index));
+      if (index === board.selectedSquare) {
+        label += ', selected';
+      } else if (targets.has(index)) {
+        label += ', legal move';
+      }
+      if (cell.textContent !== label) {
+        cell.textContent = label;
+      }
+      cell.setAttribute('aria-selected', index === board.selectedSquare ? 'true' : 'false');
+    });
+
+    const entry = history[history.length - 1] ?? null;
+    if (history.length === this.historyLength + 1 && entry !== this.lastEntry) {
+      this.announce(state.winner ? `${describeMove(entry)}. ${state.turnLabel}.` : `${describeMove(entry)}.`);
+    } else if (history.length !== this.historyLength) {
+      this.announce(`${state.turnLabel}.`);
+    } else if (board.selectedSquare !== this.selectedSquare && board.selectedSquare !== null) {
+      const count = board.legalTargets.length;
+      this.announce(
+        `${describeSquare(board.selectedSquare, pieceAt.get(board.selectedSquare))} selected, ${count} ${
+          count === 1 ? 'move' : 'moves'
+        }.`,
+      );
+    }
+    this.historyLength = history.length;
+    this.lastEntry = entry;
+    this.selectedSquare = board.selectedSquare;
+  }
+
+  // Clearing first makes screen readers repeat an announcement identical to the previous one.
+  announce(text) {
+    clearTimeout(this.announceTimer);
+    this.announcer.textContent = '';
+    this.announceTimer = setTimeout(() => {
+      this.announcer.textContent = text;
+    }, 50);
+  }
+
+  focusSquare(index, { moveFocus = true } = {}) {
+    this.cells[this.focusIndex].tabIndex = -1;
+    this.focusIndex = index;
+    this.cells[index].tabIndex = 0;
+    if (moveFocus) {
+      this.cells[index].focus();
+    }
+  }
+
+  handleFocusIn(event) {
+    const index = Number.parseInt(event.target.dataset?.square ?? '', 10);
+    if (Number.isNaN(index)) {
+      return;
+    }
+    this.focusSquare(index, { moveFocus: false });
+    this.onFocusSquare?.(index);
+  }
+
+  handleClick(event) {
+    const index = Number.parseInt(event.target.dataset?.square ?? '', 10);
+    if (!Number.isNaN(index)) {
+      this.onActivate?.(index);
+    }
+  }
+
+  handleKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+    const text = this.runCommand(event.key);
+    if (text === null) {
+      return;
+    }
+    event.preventDefault();
+    if (text) {
+      this.announce(text);
+    }
+  }
+
+  // Returns the text to speak, an empty string when the key acted silently, or null when unused.
+  runCommand(key) {
+    const row = Math.floor(this.focusIndex / 8);
+    const col = this.focusIndex % 8;
+    if (GRID_STEPS[key]) {
+      const sign = this.orientation === PieceColor.BLACK ? -1 : 1;
+      const [dRow, dCol] = GRID_STEPS[key];
+      const nextRow = row + dRow * sign;
+      const nextCol = col + dCol * sign;
+      if (nextRow >= 0 && nextRow < 8 && nextCol >= 0 && nextCol < 8) {
+        this.focusSquare(nextRow * 8 + nextCol);
+      }
+      return '';
+    }
+    if (key === 'Enter' || key === ' ') {
+      this.onActivate?.(this.focusIndex);
+      return '';
+    }
+    if (key === 'r') {
+      return describeRank(this.pieces, 8 - row);
+    }
+    if (key === 'f') {
+      return describeFile(this.pieces, FILES[col]);
+    }
+    if (key === 'l') {
+      return this.lastEntry ? `${describeMove(this.lastEntry)}.` : 'No moves yet.';
+    }
+    if (PIECE_KEYS[key]) {
+      return describePieceType(this.pieces, PIECE_KEYS[key]);
+    }
+    return null;
+  }
+
+  dispose() {
+    clearTimeout(this.announceTimer);
+    this.grid.removeEventListener('keydown', this.handleKeyDown);
+    this.grid.removeEventListener('focusin', this.handleFocusIn);
+    this.grid.removeEventListener('click', this.handleClick);
+    this.grid.replaceChildren();
+  }
+}
+
+export { describeSquare, describeRank, describeFile, describePieceType, describeMove };
@@ -1,7 +1,20 @@
 import { Renderer } from './graphics/renderer.js';
 import { CameraController } from './camera/cameraController.js';
-import { ChessGame, PieceType, PieceColor } from './game/chessGame.js';
-import { StockfishEngine } from './game/stockfishEngine.js';
+import { ChessGame, PieceType, PieceColor, GameEndReason } from './game/chessGame.js';
+import { StockfishEngine, EngineFailure } from './game/stockfishEngine.js';
+import { exportPGN, importPGN } from './game/pgn.js';
+import { getVariant } from './game/variants.js';
+import { ChessClock, parseTimeControl, formatPgnTimeControl } from './game/chessClock.js';
+import {
+  ENGINE_SKILL_RANGE,
+  DEFAULT_ENGINE_STRENGTH,
+  normalizeEngineStrength,
+  describeEngineLevel,
+  describeSearchLimit,
+  describeEngineStrength,
+  getSearchOptions,
+} from './game/engineStrength.js';
+import { reviewGame, winningChances } from './game/gameReview.js';
 import { mat4 } from '../../math/mat4.js';
 import { vec3 } from '../../math/vec3.js';
 
@@ -25,8 +38,124 @@ const HIGHLIGHT_COLORS = {
   capture: [0.85, 0.33, 0.33],
   hover: [0.92, 0.78, 0.25],
   recent: [0.65, 0.55, 0.3],
+  focus: [0.7, 0.45, 0.95],
+  hint: [0.98, 0.62, 0.18],
 };
 
+// Screen directions for the arrow keys; the board step is picked per view, so "up" follows the camera.
+const ARROW_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+};
+
+const DROP_LETTERS = {
+  P: PieceType.PAWN,
+  N: PieceType.KNIGHT,
+  B: PieceType.BISHOP,
+  R: PieceType.ROOK,
+  Q: PieceType.QUEEN,
+};
+
+// Keyboard shortcuts while the promotion picker is open.
+const PROMOTION_KEYS = {
+  q: PieceType.QUEEN,
+  r: PieceType.ROOK,
+  b: PieceType.BISHOP,
+  n: PieceType.KNIGHT,
+  k: PieceType.KING,
+};
+
+// Pointer travel in CSS pixels before pressing a piece becomes a drag. Touch gets more slack so
+// taps still select; a swipe that starts away from a movable piece orbits the camera instead.
+const PIECE_DRAG_THRESHOLD = {
+  mouse: 4,
+  touch: 10,
+};
+
+// How far a carried piece floats above the board.
+const PIECE_DRAG_LIFT = 0.35;
+
+// Tray pieces within this distance of the pointer's board-plane hit are picked.
+const TRAY_PICK_RADIUS = 0.45;
+
+const END_REASON_LABELS = {
+  [GameEndReason.CHECKMATE]: 'Checkmate',
+  [GameEndReason.STALEMATE]: 'Stalemate',
+  [GameEndReason.THREEFOLD_REPETITION]: 'Threefold repetition',
+  [GameEndReason.FIVEFOLD_REPETITION]: 'Fivefold repetition',
+  [GameEndReason.FIFTY_MOVE_RULE]: 'Fifty-move rule',
+  [GameEndReason.SEVENTY_FIVE_MOVE_RULE]: '75-move rule',
+  [GameEndReason.INSUFFICIENT_MATERIAL]: 'Insufficient material',
+  [GameEndReason.KING_OF_THE_HILL]: 'King reached the centre',
+  [GameEndReason.THREE_CHECK]: 'Third check',
+  [GameEndReason.ALL_PIECES_LOST]: 'All pieces lost',
+  [GameEndReason.NO_MOVES_LEFT]: 'No moves left',
+  [GameEndReason.TIMEOUT]: 'Time forfeit',
+  [GameEndReason.TIMEOUT_VS_INSUFFICIENT_MATERIAL]: 'Timeout vs insufficient material',
+  [GameEndReason.RESIGNATION]: 'Resignation',
+  [GameEndReason.DRAW_AGREEMENT]: 'Agreement',
+  [GameEndReason.RECORDED_RESULT]: 'Recorded result',
+};
+
+// Mate scores are mapped beyond any material score, nearer mates scoring higher.
+const MATE_SCORE = 100000;
+
+function scoreToCentipawns(score) {
+  if (!score) {
+    return null;
+  }
+  if (score.type === 'mate') {
+    return score.value > 0 ? MATE_SCORE - score.value : -MATE_SCORE - score.value;
+  }
+  return score.value;
+}
+
+// Engine scores are from the side to move; the HUD shows them from White's point of view.
+function scoreForWhite(score, sideToMove) {
+  if (!score) {
+    return null;
+  }
+  return sideToMove === PieceColor.WHITE ? score : { ...score, value: -score.value };
+}
+
+// White's share of the evaluation bar, from 0 to 1: White's winning chances, so that small edges
+// stay visible and a mate fills the bar.
+function evaluationShare(score, sideToMove) {
+  const share = winningChances(score) / 100;
+  return sideToMove === PieceColor.WHITE ? share : 1 - share;
+}
+
+function formatScore(score) {
+  if (!score) {
+    return '';
+  }
+  if (score.type === 'mate') {
+    return `#${score.value}`;
+  }
+  const pawns = score.value / 100;
+  return `${pawns > 0 ? '+' : ''}${pawns.toFixed(2)}`;
+}
+
+// Background analysis refreshes the HUD at most this often.
+const ANALYSIS_EMIT_INTERVAL_MS = 250;
+const ANALYSIS_PV_LENGTH = 10;
+// Hints search at full strength for this long, whatever level the opponent plays at.
+const HINT_MOVE_TIME_MS = 1500;
+
+// Times in a row a move is asked for again after the engine crashed and restarted.
+const ENGINE_MOVE_RETRIES = 2;
+
+// Engine-vs-engine autoplay pauses this long between moves, and before the next game, at 1x speed.
+const SPECTATOR_MOVE_DELAY_MS = 900;
+const SPECTATOR_RESTART_DELAY_MS = 8000;
+const SPECTATOR_SPEEDS = [0.5, 1, 2, 4];
+// Following a move eases the camera part way toward the square, closer in and a little further round.
+const SPECTATOR_FOCUS_PULL = 0.6;
+const SPECTATOR_FOLLOW_RADIUS = 9;
+const SPECTATOR_ORBIT_STEP = 0.12;
+
 const PIECE_SHAPES = {
   [PieceType.PAWN]: [
     { scale: [0.55, 0.5, 0.55], colorFactor: 1 },
@@ -139,10 +268,15 @@ export class App {
 
     this.game = new ChessGame();
     this.selectedSquare = null;
+    this.selectedDrop = null;
     this.legalMoves = [];
     this.hoverSquare = null;
+    this.pendingPromotion = null;
+    this.autoQueen = false;
+    this.keyboardFocus = null;
 
     this.dragState = this.createInitialDragState();
+    this.pieceDrag = null;
     this.touchState = this.createInitialTouchState();
     this.running = false;
 
@@ -163,22 +297,79 @@ export class App {
     this.capturedPieceMap = new Map();
     this.activeAnimations = [];
     this.animationInProgress = false;
+    this.animationCallbacks = [];
     this.animationSettings = {
       moveDuration: 0.6,
       liftHeight: 0.45,
       sidestepDistance: 0.6,
       sidestepDuration: 0.25,
       sidestepReturnDuration: 0.25,
+      dropDuration: 0.18,
     };
 
     this.engine = null;
     this.engineReadyPromise = null;
     this.singlePlayer = true;
+    // 'white', 'black' or 'random'; resolved into the two colours whenever a new game starts.
+    this.sideChoice = PieceColor.WHITE;
     this.humanColor = PieceColor.WHITE;
     this.engineColor = PieceColor.BLACK;
-    this.engineSkill = 8;
+    this.engineStrength = normalizeEngineStrength(DEFAULT_ENGINE_STRENGTH);
+    // Set when the strength changed while the engine was busy; applied before its next search.
+    this.engineStrengthDirty = false;
     this.engineThinking = false;
-    this.engineMoveTime = 1000;
+    this.engineRequestId = 0;
+    this.engineMoveRetries = 0;
+    // Set when the engine could not produce a move; retryEngine() asks it again.
+    this.engineStalled = false;
+    // The engine resigns once its own score stays at or below engineResignScore (centipawns) for
+    // engineResignMoves searches in a row, and accepts a draw unless it scores above
+    // engineDrawAcceptScore.
+    this.engineResignScore = -800;
+    this.engineResignMoves = 3;
+    this.engineDrawAcceptScore = 0;
+    this.engineLowScoreStreak = 0;
+    this.engineDrawReplyPending = false;
+    this.engineEvaluating = false;
+
+    // Background analysis of the position on the board, shown in the HUD while enabled.
+    this.analysisEnabled = false;
+    this.analysisLineCount = 3;
+    this.analysisSession = null;
+    this.analysisFen = null;
+    this.analysisLines = [];
+    this.analysisEmitTimer = null;
+    // Best known score for each ply of the current line, for the evaluation bar and graph.
+    this.evaluationEnabled = false;
+    this.evaluations = [];
+    // Post-game review: { status: 'running', done, total } while searching, then the review itself.
+    this.review = null;
+    this.reviewRequestId = 0;
+    this.reviewAbort = null;
+    // The hint for the position on the board: level 1 shows the piece, level 2 the whole move.
+    this.hint = null;
+    this.hintSearching = false;
+    this.hintRequestId = 0;
+    this.hintsUsed = 0;
+    // Engine-vs-engine autoplay, chosen as the 'spectate' side. Each side plays at its own strength.
+    this.spectating = false;
+    this.spectatorPaused = false;
+    this.spectatorSpeed = 1;
+    this.spectatorFollow = false;
+    this.spectatorStrengths = {
+      [PieceColor.WHITE]: normalizeEngineStrength(),
+      [PieceColor.BLACK]: normalizeEngineStrength(),
+    };
+    this.spectatorTimer = null;
+
+    this.pgnTags = {};
+    this.pgnResult = null;
+    this.pgnComment = null;
+
+    this.timeControl = null;
+    this.clock = null;
+    this.clockPausesDuringAnimation = true;
+    this.lastClockDisplayKey = null;
 
     this.cameraInteraction = {
       active: false,
@@ -238,11 +429,9 @@ export class App {
   }
 
   async prepareEngine() {
-    this.engine = new StockfishEngine({
-      skillLevel: this.engineSkill,
-      moveTime: this.engineMoveTime,
-    });
+    this.engine = new StockfishEngine({ skillLevel: this.engineStrength.skill });
     await this.engine.initialize();
+    await this.applyEngineStrength();
     await this.engine.newGame();
   }
 
@@ -281,6 +470,7 @@ export class App {
         this.engineThinking = false;
         this.emitState();
       }
+      this.requestEngineMove();
     }
   }
 
@@ -309,31 +499,295 @@ export class App {
   }
 
   reset() {
+    this.game.reset();
+    this.beginNewGame();
+  }
+
+  beginNewGame() {
+    this.clearPgnMetadata();
+    this.assignSides();
+    this.syncWithGame();
+  }
+
+  setSideChoice(choice) {
+    if (![PieceColor.WHITE, PieceColor.BLACK, 'random', 'spectate'].includes(choice)) {
+      this.onMessage?.(`Unknown side: ${choice}`);
+      return false;
+    }
+    this.sideChoice = choice;
+    this.reset();
+    if (choice === 'random') {
+      this.onMessage?.(`You play ${capitalize(this.humanColor)}.`);
+    }
+    return true;
+  }
+
+  assignSides() {
+    this.setSpectating(this.sideChoice === 'spectate');
+    if (this.spectating) {
+      // Both sides are engines; the board is watched from White's side.
+      this.setHumanColor(PieceColor.WHITE);
+      return;
+    }
+    const human = this.sideChoice === 'random'
+      ? Math.random() < 0.5 ? PieceColor.WHITE : PieceColor.BLACK
+      : this.sideChoice;
+    this.setHumanColor(human);
+  }
+
+  // Whether the engine plays the side to move.
+  isEngineTurn() {
+    return this.spectating || this.game.currentPlayer === this.engineColor;
+  }
+
+  setHumanColor(color) {
+    const changed = color !== this.humanColor;
+    this.humanColor = color;
+    this.engineColor = color === PieceColor.WHITE ? PieceColor.BLACK : PieceColor.WHITE;
+    if (changed) {
+      this.orientCamera();
+    }
+  }
+
+  // The board is drawn from the human's side; in two-player games that is the side chosen last.
+  getOrientation() {
+    return this.humanColor;
+  }
+
+  // Swings the camera to the default anchor on the player's side of the board.
+  orientCamera({ immediate = false } = {}) {
+    if (!this.camera) {
+      return;
+    }
+    const { defaultTheta, defaultPhi } = this.camera;
+    const theta = this.getOrientation() === PieceColor.BLACK ? defaultTheta + Math.PI : defaultTheta;
+    const index = this.camera.getNearestAnchorIndex(theta, defaultPhi);
+    this.camera.setAnchor(index, { immediate });
+    this.cameraInteraction.currentAnchor = index;
+    this.cameraInteraction.lastInputTime = this.getTimestamp();
+  }
+
+  loadFEN(fen, options = {}) {
+    try {
+      this.game.loadFEN(fen, options);
+    } catch (error) {
+      this.onMessage?.(error.message);
+      return false;
+    }
+    this.beginNewGame();
+    return true;
+  }
+
+  startChess960(options = {}) {
+    const index = this.game.startChess960(options);
+    this.beginNewGame();
+    this.onMessage?.(`Chess960 start position #${index}.`);
+    return index;
+  }
+
+  setVariant(id) {
+    let variant;
+    try {
+      variant = getVariant(id);
+    } catch (error) {
+      this.onMessage?.(error.message);
+      return false;
+    }
+    this.game.setVariant(variant);
+    this.beginNewGame();
+    return true;
+  }
+
+  // Accepts a spec such as "5+3", "15d10" or "40/90+30, 30+30", or null for an untimed game.
+  // Changing the time control starts a new game.
+  setTimeControl(spec) {
+    let timeControl = null;
+    if (spec) {
+      try {
+        timeControl = parseTimeControl(spec);
+      } catch (error) {
+        this.onMessage?.(error.message);
+        return false;
+      }
+    }
+    this.timeControl = timeControl;
+    this.clock = timeControl ? new ChessClock(timeControl, { now: () => this.getTimestamp() }) : null;
+    this.reset();
+    return true;
+  }
+
+  loadPGN(text) {
+    const game = new ChessGame();
+    let parsed;
+    try {
+      parsed = importPGN(text, game);
+    } catch (error) {
+      this.onMessage?.(error.message);
+      return false;
+    }
+    this.game = game;
+    this.pgnTags = { ...parsed.tags };
+    this.pgnResult = parsed.result;
+    this.pgnComment = parsed.comments.length > 0 ? parsed.comments.join(' ') : null;
+    // Games saved here record which side the player had.
+    if ([PieceColor.WHITE, PieceColor.BLACK].includes(parsed.tags.HumanColor)) {
+      this.setHumanColor(parsed.tags.HumanColor);
+    }
+    this.syncWithGame();
+    this.hintsUsed = Number.parseInt(parsed.tags.Hints ?? '0', 10) || 0;
+    this.onMessage?.(`Loaded ${game.moveHistory.length} plies from PGN.`);
+    return true;
+  }
+
+  exportPGN() {
+    const tags = { ...this.pgnTags };
+    if (this.spectating) {
+      tags.White ??= `Stockfish (${describeEngineLevel(this.spectatorStrengths[PieceColor.WHITE])})`;
+      tags.Black ??= `Stockfish (${describeEngineLevel(this.spectatorStrengths[PieceColor.BLACK])})`;
+    } else if (this.singlePlayer) {
+      const strength = this.engineStrength;
+      const engineName = `Stockfish (${describeEngineLevel(strength)})`;
+      const humanIsWhite = this.humanColor === PieceColor.WHITE;
+      tags.White ??= humanIsWhite ? 'Player' : engineName;
+      tags.Black ??= humanIsWhite ? engineName : 'Player';
+      tags.HumanColor = this.humanColor;
+      // A loaded game may carry the other kind of level; only the one in use is written.
+      if (strength.mode === 'elo') {
+        tags.EngineElo = String(strength.elo);
+        delete tags.EngineSkill;
+      } else {
+        tags.EngineSkill = String(strength.skill);
+        delete tags.EngineElo;
+      }
+      tags.EngineLimit = describeSearchLimit(strength.limit);
+      if (this.hintsUsed > 0) {
+        tags.Hints = String(this.hintsUsed);
+      } else {
+        delete tags.Hints;
+      }
+    }
+    tags.Site ??= 'Mallo';
+    if (this.timeControl) {
+      tags.TimeControl ??= formatPgnTimeControl(this.timeControl);
+    }
+    // Export the whole game even while an earlier position is on the board.
+    const ply = this.game.moveHistory.length;
+    this.game.goToPly(this.game.getPlyCount());
+    const pgn = exportPGN(this.game, {
+      tags,
+      result: this.pgnResult,
+      comment: this.pgnComment,
+    });
+    this.game.goToPly(ply);
+    return pgn;
+  }
+
+  clearPgnMetadata() {
+    this.pgnTags = {};
+    this.pgnResult = null;
+    this.pgnComment = null;
+  }
+
+  syncWithGame() {
+    clearTimeout(this.spectatorTimer);
+    this.spectatorTimer = null;
+    this.reviewRequestId += 1;
+    this.review = null;
+    this.hintRequestId += 1;
+    this.hint = null;
+    this.hintSearching = false;
+    this.hintsUsed = 0;
+    this.cancelEngineSearch();
+    this.clock?.reset();
+    this.lastClockDisplayKey = null;
+    this.engineLowScoreStreak = 0;
+    this.engineMoveRetries = 0;
+    this.engineStalled = false;
+    this.engineDrawReplyPending = false;
+    this.evaluations = [];
+    if (this.engine) {
+      // Builds without the variant fall back to two-player mode until a supported variant is chosen.
+      const { uciVariant } = this.game.variant;
+      this.singlePlayer = !uciVariant || this.engine.supportsVariant(uciVariant);
+      let ready = this.engine.setOption('UCI_Chess960', this.game.chess960);
+      if (this.singlePlayer && this.engine.variants.length > 0) {
+        ready = ready.then(() => this.engine.setOption('UCI_Variant', uciVariant ?? 'chess'));
+      }
+      this.engineReadyPromise = ready
+        .then(() => this.engine.newGame())
+        .catch((error) => {
+          console.error('Failed to reset Stockfish engine', error);
+        });
+    }
+    this.redrawPosition();
+    this.updateUI();
+    this.onMessage?.(
+      this.engine && !this.singlePlayer
+        ? `Stockfish does not support ${this.game.variant.name}. Two-player mode active.`
+        : '',
+    );
+
+    if (this.singlePlayer && !this.game.winner && this.isEngineTurn()) {
+      this.requestEngineMove();
+    }
+  }
+
+  // Rebuilds the board and trays from the game without animating; the clock and engine are untouched.
+  redrawPosition() {
     this.activeAnimations = [];
     this.animationInProgress = false;
-    this.game.reset();
+    this.animationCallbacks = [];
     this.selectedSquare = null;
+    this.selectedDrop = null;
     this.hoverSquare = null;
     this.legalMoves = [];
+    this.pendingPromotion = null;
+    this.pieceDrag = null;
     this.resetDragState();
     this.clearTouchState();
-    this.engineThinking = false;
     this.capturedPieceStates = [];
     this.capturedPiecesByColor[PieceColor.WHITE] = [];
     this.capturedPiecesByColor[PieceColor.BLACK] = [];
     this.capturedPieceMap.clear();
-    if (this.engine) {
-      this.engine.stop();
-      this.engineReadyPromise = this.engine
-        .newGame()
-        .catch((error) => {
-          console.error('Failed to reset Stockfish engine', error);
-        });
-    }
     this.updatePieces();
+    this.restoreCapturedPieces();
     this.updateHighlights();
+  }
+
+  // Shows the position after `ply` half-moves. Later moves are kept, so returning to the end resumes
+  // the game, while a move played from an earlier position starts a new line from there.
+  goToPly(ply) {
+    if (this.animationInProgress || this.pieceDrag) {
+      return false;
+    }
+    if (this.clock?.isRunning()) {
+      this.onMessage?.('Moves cannot be stepped through while the clock is running.');
+      return false;
+    }
+    const target = Math.max(0, Math.min(ply, this.game.getPlyCount()));
+    if (target === this.game.moveHistory.length) {
+      return false;
+    }
+    this.cancelEngineSearch();
+    this.cancelPromotion();
+    this.engineDrawReplyPending = false;
+    this.game.goToPly(target);
+    this.redrawPosition();
     this.updateUI();
     this.onMessage?.('');
+    if (
+      this.singlePlayer &&
+      !this.game.canRedo() &&
+      !this.game.isOver() &&
+      this.isEngineTurn()
+    ) {
+      this.requestEngineMove();
+    }
+    return true;
+  }
+
+  stepHistory(delta) {
+    return this.goToPly(this.game.moveHistory.length + delta);
   }
 
   attachEventListeners() {
@@ -383,6 +837,7 @@ export class App {
     this.camera.update(deltaSeconds);
 
     this.updateAnimations(deltaSeconds);
+    this.updateClock();
 
     const cameraPosition = this.camera.getCameraPosition();
     const cameraTarget = this.camera.getTarget();
@@ -412,51 +867,50 @@ export class App {
   }
 
   buildPieceStates() {
-    const pieces = this.game.getPieces();
-    const pieceStates = [];
-    for (const piece of pieces) {
-      const { x, z } = toWorldPosition(piece.row, piece.col);
-      const baseColor = PIECE_BASE_COLORS[piece.color];
-      const rotationY = piece.color === PieceColor.BLACK ? Math.PI : 0;
-      const shapes = PIECE_SHAPES[piece.type] ?? PIECE_SHAPES[PieceType.PAWN];
-      const fallbackLayers = buildFallbackLayers(shapes, baseColor);
-      let kind = null;
-      switch (piece.type) {
-        case PieceType.KING:
-          kind = 'king-model';
-          break;
-        case PieceType.QUEEN:
-          kind = 'queen-model';
-          break;
-        case PieceType.ROOK:
-          kind = 'rook-model';
-          break;
-        case PieceType.KNIGHT:
-          kind = 'knight-model';
-          break;
-        case PieceType.BISHOP:
-          kind = 'bishop-model';
-          break;
-        case PieceType.PAWN:
-          kind = 'pawn-model';
-          break;
-        default:
-          kind = null;
-          break;
-      }
-      pieceStates.push({
-        id: piece.id,
-        type: piece.type,
-        index: piece.index,
-        color: baseColor,
-        pieceColor: piece.color,
-        kind,
-        position: [x, 0, z],
-        rotationY,
-        fallbackLayers,
-      });
+    return this.game.getPieces().map((piece) => this.buildPieceState(piece));
+  }
+
+  buildPieceState(piece) {
+    const { x, z } = toWorldPosition(piece.row, piece.col);
+    const baseColor = PIECE_BASE_COLORS[piece.color];
+    const rotationY = piece.color === PieceColor.BLACK ? Math.PI : 0;
+    const shapes = PIECE_SHAPES[piece.type] ?? PIECE_SHAPES[PieceType.PAWN];
+    const fallbackLayers = buildFallbackLayers(shapes, baseColor);
+    let kind = null;
+    switch (piece.type) {
+      case PieceType.KING:
+        kind = 'king-model';
+        break;
+      case PieceType.QUEEN:
+        kind = 'queen-model';
+        break;
+      case PieceType.ROOK:
+        kind = 'rook-model';
+        break;
+      case PieceType.KNIGHT:
+        kind = 'knight-model';
+        break;
+      case PieceType.BISHOP:
+        kind = 'bishop-model';
+        break;
+      case PieceType.PAWN:
+        kind = 'pawn-model';
+        break;
+      default:
+        kind = null;
+        break;
     }
-    return pieceStates;
+    return {
+      id: piece.id,
+      type: piece.type,
+      index: piece.index,
+      color: baseColor,
+      pieceColor: piece.color,
+      kind,
+      position: [x, 0, z],
+      rotationY,
+      fallbackLayers,
+    };
   }
 
   applyPieceStates(states, { updateRenderer = true } = {}) {
@@ -509,6 +963,60 @@ export class App {
     return clone;
   }
 
+  buildTrayState(piece, position) {
+    return {
+      ...this.buildPieceState({ ...piece, index: null, row: 0, col: 0 }),
+      position: [...position],
+    };
+  }
+
+  restoreCapturedPieces() {
+    // In drop variants the trays show each side's pieces in hand rather than its losses.
+    if (this.game.variant.drops) {
+      const pockets = this.game.getPockets();
+      for (const color of [PieceColor.WHITE, PieceColor.BLACK]) {
+        for (const piece of pockets[color]) {
+          this.registerCapturedPiece(this.buildTrayState(piece, [0, 0, 0]), color);
+        }
+      }
+      this.layoutCapturedPieces();
+      return;
+    }
+    for (const record of this.game.undoStack) {
+      const { moveState } = record;
+      const piece = moveState.captured ?? moveState.enPassantCaptured;
+      if (!piece) {
+        continue;
+      }
+      const index = moveState.enPassantCaptured ? moveState.enPassantCaptureIndex : moveState.to;
+      const state = this.buildPieceState({
+        id: piece.id,
+        type: piece.type,
+        color: piece.color,
+        index,
+        row: Math.floor(index / 8),
+        col: index % 8,
+      });
+      this.registerCapturedPiece(state, piece.color);
+    }
+    this.layoutCapturedPieces();
+  }
+
+  unregisterCapturedPiece(id) {
+    const state = this.capturedPieceMap.get(id);
+    if (!state) {
+      return null;
+    }
+    this.capturedPieceMap.delete(id);
+    this.capturedPieceStates = this.capturedPieceStates.filter((entry) => entry.id !== id);
+    for (const color of [PieceColor.WHITE, PieceColor.BLACK]) {
+      this.capturedPiecesByColor[color] = this.capturedPiecesByColor[color].filter(
+        (entry) => entry.id !== id,
+      );
+    }
+    return state;
+  }
+
   isCapturedPortraitLayout() {
     if (typeof window === 'undefined') {
       return false;
@@ -523,11 +1031,14 @@ export class App {
     const column = Math.floor(slotIndex / columns);
     const row = slotIndex % columns;
 
+    // The trays turn with the board, so each stays on the same side of the player's view.
+    const flip = this.getOrientation() === PieceColor.BLACK ? -1 : 1;
+
     if (portrait) {
       const zBase = pieceColor === PieceColor.WHITE ? 4.8 : -4.8;
       const z = zBase + (pieceColor === PieceColor.WHITE ? column * spacing : -column * spacing);
       const x = (row - (columns - 1) / 2) * spacing;
-      return [x, 0, z];
+      return [x * flip, 0, z * flip];
     }
 
     const side = pieceColor === PieceColor.WHITE ? 1 : -1;
@@ -535,7 +1046,7 @@ export class App {
     const xOffset = side * column * 0.7;
     const x = xBase - xOffset;
     const z = (row - (columns - 1) / 2) * spacing;
-    return [x, 0, z];
+    return [x * flip, 0, z * flip];
   }
 
   layoutCapturedPieces() {
@@ -556,7 +1067,14 @@ export class App {
     this.renderer.updatePieceInstances(this.getRenderablePieceStates());
   }
 
-  scheduleMoveAnimation({ result, context, previousIndexMap, previousIdMap, nextStates }) {
+  scheduleMoveAnimation({
+    result,
+    context,
+    previousIndexMap,
+    previousIdMap,
+    nextStates,
+    restoredState = null,
+  }) {
     if (!Array.isArray(nextStates) || nextStates.length === 0) {
       this.applyPieceStates(nextStates);
       this.renderer.updatePieceInstances(this.getRenderablePieceStates());
@@ -595,11 +1113,13 @@ export class App {
 
     this.animationInProgress = true;
 
+    // A piece dropped by drag-and-drop settles from where it was released instead of flying over.
+    const heldOffset = context.heldOffset ?? null;
     this.renderer.setPieceBasePosition(fromState.id, toState.position);
     const startOffset = [
-      fromState.position[0] - toState.position[0],
-      fromState.position[1] - toState.position[1],
-      fromState.position[2] - toState.position[2],
+      fromState.position[0] - toState.position[0] + (heldOffset?.[0] ?? 0),
+      fromState.position[1] - toState.position[1] + (heldOffset?.[1] ?? 0),
+      fromState.position[2] - toState.position[2] + (heldOffset?.[2] ?? 0),
     ];
     this.renderer.setPieceOffset(fromState.id, startOffset);
     this.renderer.setPieceRotationOffset(fromState.id, 0);
@@ -607,23 +1127,25 @@ export class App {
     const moveAnim = {
       kind: 'move',
       pieceId: fromState.id,
-      duration: this.animationSettings.moveDuration,
+      duration: heldOffset ? this.animationSettings.dropDuration : this.animationSettings.moveDuration,
       elapsed: 0,
       startOffset,
       targetOffset: [0, 0, 0],
-      liftHeight: this.animationSettings.liftHeight,
+      liftHeight: heldOffset ? 0 : this.animationSettings.liftHeight,
       blockers: [],
       completed: false,
     };
     this.activeAnimations.push(moveAnim);
 
     const capturedId = result?.captured?.id ?? null;
-    const blockers = this.computeBlockingPieces({
-      fromState,
-      toState,
-      previousStates: previousIdMap,
-      capturedId,
-    });
+    const blockers = heldOffset
+      ? []
+      : this.computeBlockingPieces({
+        fromState,
+        toState,
+        previousStates: previousIdMap,
+        capturedId,
+      });
 
     blockers.forEach((blocker) => {
       this.renderer.setPieceOffset(blocker.id, [0, 0, 0]);
@@ -643,10 +1165,18 @@ export class App {
 
     if (typeof capturedId === 'number' && previousIdMap.has(capturedId)) {
       const capturedState = previousIdMap.get(capturedId);
-      const capturedPieceColor = capturedState?.pieceColor ?? result?.captured?.color ?? PieceColor.WHITE;
-      const storedState = this.registerCapturedPiece(capturedState, capturedPieceColor);
-      const capturedIndex = this.capturedPiecesByColor[capturedPieceColor].length - 1;
-      const targetPosition = this.computeCapturedSlotPosition(capturedPieceColor, capturedIndex);
+      const pocketed = result?.pocketed ?? null;
+      // Pieces captured in drop variants change sides on their way to the capturer's tray.
+      const trayColor = pocketed?.color
+        ?? capturedState?.pieceColor
+        ?? result?.captured?.color
+        ?? PieceColor.WHITE;
+      const storedState = this.registerCapturedPiece(
+        pocketed ? this.buildTrayState(pocketed, capturedState.position) : capturedState,
+        trayColor,
+      );
+      const capturedIndex = this.capturedPiecesByColor[trayColor].length - 1;
+      const targetPosition = this.computeCapturedSlotPosition(trayColor, capturedIndex);
       storedState.position = targetPosition;
 
       const currentPosition = Array.isArray(capturedState?.position)
@@ -684,6 +1214,29 @@ export class App {
       this.activeAnimations.push(captureAnim);
     }
 
+    const restoredTarget = restoredState ? nextMap.get(restoredState.id) : null;
+    if (restoredTarget) {
+      const restoreOffset = [
+        restoredState.position[0] - restoredTarget.position[0],
+        restoredState.position[1] - restoredTarget.position[1],
+        restoredState.position[2] - restoredTarget.position[2],
+      ];
+      this.renderer.setPieceBasePosition(restoredState.id, restoredTarget.position);
+      this.renderer.setPieceOffset(restoredState.id, restoreOffset);
+      this.renderer.setPieceRotationOffset(restoredState.id, 0);
+      this.activeAnimations.push({
+        kind: 'move',
+        pieceId: restoredState.id,
+        duration: this.animationSettings.moveDuration,
+        elapsed: 0,
+        startOffset: restoreOffset,
+        targetOffset: [0, 0, 0],
+        liftHeight: this.animationSettings.liftHeight,
+        blockers: [],
+        completed: false,
+      });
+    }
+
     if (result?.castle?.rookFrom !== undefined && result?.castle?.rookTo !== undefined) {
       const rookFromState = previousIndexMap.get(result.castle.rookFrom);
       if (rookFromState) {
@@ -730,6 +1283,34 @@ export class App {
     };
   }
 
+  scheduleDropAnimation(droppedState, nextStates, heldOffset = null) {
+    this.applyPieceStates(nextStates);
+    this.layoutCapturedPieces();
+    const target = nextStates.find((state) => state.id === droppedState.id);
+    if (!target) {
+      return;
+    }
+    const startOffset = [
+      droppedState.position[0] - target.position[0] + (heldOffset?.[0] ?? 0),
+      droppedState.position[1] - target.position[1] + (heldOffset?.[1] ?? 0),
+      droppedState.position[2] - target.position[2] + (heldOffset?.[2] ?? 0),
+    ];
+    this.renderer.setPieceOffset(droppedState.id, startOffset);
+    this.renderer.setPieceRotationOffset(droppedState.id, 0);
+    this.animationInProgress = true;
+    this.activeAnimations.push({
+      kind: 'move',
+      pieceId: droppedState.id,
+      duration: heldOffset ? this.animationSettings.dropDuration : this.animationSettings.moveDuration,
+      elapsed: 0,
+      startOffset,
+      targetOffset: [0, 0, 0],
+      liftHeight: heldOffset ? 0 : this.animationSettings.liftHeight,
+      blockers: [],
+      completed: false,
+    });
+  }
+
   computeBlockingPieces({ fromState, toState, previousStates, capturedId }) {
     const blockers = [];
     if (!fromState || !toState) {
@@ -852,7 +1433,22 @@ export class App {
           entry.root.scaling.copyFromFloats(1, 1, 1);
         }
       }
+      this.flushAnimationCallbacks();
+    }
+  }
+
+  queueAfterAnimations(callback) {
+    if (!this.animationInProgress && this.activeAnimations.length === 0) {
+      callback();
+      return;
     }
+    this.animationCallbacks.push(callback);
+  }
+
+  flushAnimationCallbacks() {
+    const callbacks = this.animationCallbacks;
+    this.animationCallbacks = [];
+    callbacks.forEach((callback) => callback());
   }
 
   updateHighlights() {
@@ -868,7 +1464,9 @@ export class App {
     const state = this.game.getState();
 
     if (state.lastMove) {
-      addHighlight(state.lastMove.from, HIGHLIGHT_COLORS.recent, [0.92, 0.03, 0.92], 0.03);
+      if (state.lastMove.from !== null) {
+        addHighlight(state.lastMove.from, HIGHLIGHT_COLORS.recent, [0.92, 0.03, 0.92], 0.03);
+      }
       addHighlight(state.lastMove.to, HIGHLIGHT_COLORS.recent, [0.92, 0.03, 0.92], 0.03);
       if (state.lastMove.rook) {
         addHighlight(state.lastMove.rook.from, HIGHLIGHT_COLORS.recent, [0.92, 0.03, 0.92], 0.03);
@@ -884,31 +1482,130 @@ export class App {
       addHighlight(this.selectedSquare, HIGHLIGHT_COLORS.selected, [0.98, 0.05, 0.98], 0.04);
       for (const move of this.legalMoves) {
         const targetPiece = this.game.getPieceAt(move.to);
-        const color = targetPiece ? HIGHLIGHT_COLORS.capture : HIGHLIGHT_COLORS.legal;
+        const isCapture = targetPiece && !move.castle;
+        const color = isCapture ? HIGHLIGHT_COLORS.capture : HIGHLIGHT_COLORS.legal;
         addHighlight(move.to, color, [0.85, 0.03, 0.85], 0.035);
       }
     }
 
+    if (this.selectedDrop) {
+      const [x, , z] = this.selectedDrop.position;
+      highlightInstances.push({
+        matrix: createTransform(x, 0.04, z, [0.7, 0.05, 0.7]),
+        color: HIGHLIGHT_COLORS.selected,
+      });
+      for (const move of this.legalMoves) {
+        addHighlight(move.to, HIGHLIGHT_COLORS.legal, [0.85, 0.03, 0.85], 0.035);
+      }
+    }
+
+    if (this.hint) {
+      if (this.hint.from !== null) {
+        addHighlight(this.hint.from, HIGHLIGHT_COLORS.hint, [0.94, 0.045, 0.94], 0.035);
+      }
+      if (this.hint.level > 1) {
+        addHighlight(this.hint.to, HIGHLIGHT_COLORS.hint, [0.94, 0.045, 0.94], 0.035);
+      }
+    }
+
+    if (this.keyboardFocus !== null && this.keyboardFocus !== this.selectedSquare) {
+      addHighlight(this.keyboardFocus, HIGHLIGHT_COLORS.focus, [0.99, 0.045, 0.99], 0.045);
+    }
+
     this.renderer.setHighlightInstances(highlightInstances);
   }
 
   emitState(extra = {}) {
+    if (this.hint && this.hint.fen !== this.game.getFEN()) {
+      this.clearHint();
+    }
+    this.updateAnalysis();
+    this.trimEvaluations();
     const state = this.game.getState();
     const winner = state.winner;
+    const endLabel = END_REASON_LABELS[state.endReason] ?? null;
+    const reasonSuffix = endLabel && state.endReason !== GameEndReason.CHECKMATE
+      ? ` (${endLabel.toLowerCase()})`
+      : '';
     const turnLabel = winner
       ? winner === 'draw'
-        ? 'Game over: Draw'
-        : `Winner: ${capitalize(winner)}`
+        ? `Game over: Draw${reasonSuffix}`
+        : `Winner: ${capitalize(winner)}${reasonSuffix}`
       : `${capitalize(state.currentPlayer)} to move`;
-    const checkLabel = !winner && state.inCheck ? `${capitalize(state.inCheck)} is in check!` : '';
+    const ply = state.history.length;
+    const plyCount = this.game.getPlyCount();
+    const viewingLabel = ply < plyCount ? `Viewing move ${ply} of ${plyCount} · ` : '';
+    const over = this.game.isOver();
+    // Results are only decided in the latest position, never at a browsed earlier ply.
+    const browsing = this.game.canRedo();
+    const claimableDraws = browsing ? [] : state.claimableDraws;
+    let checkLabel = !winner && state.inCheck ? `${capitalize(state.inCheck)} is in check!` : '';
+    if (!checkLabel && claimableDraws.length > 0) {
+      const claims = claimableDraws.map((reason) => END_REASON_LABELS[reason].toLowerCase());
+      checkLabel = `Draw can be claimed (${claims.join(', ')}).`;
+    }
+    if (!checkLabel && !winner && state.drawOffer) {
+      checkLabel = `${capitalize(state.drawOffer)} offers a draw.`;
+    }
+    const actingColor = this.getActingColor();
     this.onStateChange?.({
-      turnLabel,
+      turnLabel: `${viewingLabel}${turnLabel}`,
       checkLabel,
+      endReason: state.endReason,
+      claimableDraws,
       history: state.history,
       engineThinking: this.engineThinking,
+      canTakeBack: this.canTakeBack(),
       singlePlayer: this.singlePlayer,
+      chess960: this.game.chess960,
+      variant: state.variant,
+      variantStatus: state.variantStatus,
       humanColor: this.humanColor,
       engineColor: this.engineColor,
+      sideChoice: this.sideChoice,
+      analysis: this.analysisEnabled
+        ? {
+          available: this.canAnalyze(),
+          paused: this.isEngineBusy(),
+          lines: this.analysisLines,
+        }
+        : null,
+      evaluation: this.evaluationEnabled ? this.getEvaluationState(ply, plyCount) : null,
+      canReview: this.canReview(),
+      canHint: this.canHint(),
+      hint: this.hint ? { level: this.hint.level } : null,
+      hintSearching: this.hintSearching,
+      engineStalled: this.engineStalled && this.singlePlayer && !over && this.isEngineTurn(),
+      hintsUsed: this.hintsUsed,
+      review: this.review,
+      spectator: this.spectating ? this.getSpectatorState() : null,
+      engineStrength: this.engineStrength,
+      engineStrengthLabel: describeEngineStrength(this.engineStrength),
+      clocks: this.clock?.getState() ?? null,
+      promotion: this.pendingPromotion
+        ? {
+          options: this.pendingPromotion.options,
+          color: state.currentPlayer,
+          screen: this.projectSquareToScreen(this.pendingPromotion.to),
+        }
+        : null,
+      autoQueen: this.autoQueen,
+      drawOffer: state.drawOffer,
+      canResign: !over && !browsing && !this.spectating,
+      canOfferDraw: !over && !browsing && !this.spectating && state.drawOffer !== actingColor
+        && !this.engineDrawReplyPending,
+      // Offering back to an open offer accepts it.
+      canAcceptDraw: !over && !browsing && !this.singlePlayer && Boolean(state.drawOffer)
+        && state.drawOffer !== actingColor,
+      ply,
+      plyCount,
+      keyboardFocus: this.keyboardFocus,
+      board: {
+        pieces: this.game.getPieces(),
+        orientation: this.getOrientation(),
+        selectedSquare: this.selectedSquare,
+        legalTargets: this.legalMoves.map((move) => move.to),
+      },
       winner,
       currentPlayer: state.currentPlayer,
       ...extra,
@@ -920,59 +1617,266 @@ export class App {
   }
 
   handleKeyDown(event) {
-    if (event.defaultPrevented) return;
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    const target = event.target instanceof Element ? event.target : null;
+    // Text fields keep their keys; buttons keep Enter and Space for their own activation.
+    if (target?.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (target?.closest('button') && (event.key === 'Enter' || event.key === ' ')) return;
+    if (this.pendingPromotion) {
+      const type = PROMOTION_KEYS[event.key.toLowerCase()];
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.cancelPromotion();
+      } else if (type && this.pendingPromotion.options.includes(type)) {
+        event.preventDefault();
+        this.choosePromotion(type);
+      }
+      return;
+    }
+    if (this.handleKeyboardPlay(event.key)) {
+      event.preventDefault();
+    }
   }
 
-  getTimestamp() {
-    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  // Returns true when the key was used.
+  handleKeyboardPlay(key) {
+    if (ARROW_DIRECTIONS[key]) {
+      this.moveKeyboardFocus(ARROW_DIRECTIONS[key]);
+      return true;
+    }
+    switch (key) {
+      case 'Enter':
+      case ' ':
+        if (this.keyboardFocus === null) {
+          this.setKeyboardFocus(this.getDefaultKeyboardFocus());
+        } else if (!this.pieceDrag) {
+          this.handleSquareSelection(this.keyboardFocus);
+        }
+        return true;
+      case 'Escape':
+        if (this.selectedSquare !== null || this.selectedDrop) {
+          this.selectedSquare = null;
+          this.selectedDrop = null;
+          this.legalMoves = [];
+          this.updateHighlights();
+          this.emitState();
+          return true;
+        }
+        if (this.keyboardFocus !== null) {
+          this.setKeyboardFocus(null);
+          return true;
+        }
+        return false;
+      case 'f':
+      case 'F':
+        this.flipView();
+        return true;
+      case '[':
+        this.stepHistory(-1);
+        return true;
+      case ']':
+        this.stepHistory(1);
+        return true;
+      case 'h':
+      case 'H':
+        this.requestHint();
+        return true;
+      case 'Home':
+        this.goToPly(0);
+        return true;
+      case 'End':
+        this.goToPly(this.game.getPlyCount());
+        return true;
+      default:
+        break;
+    }
+    // Number keys pick the camera anchors in the order CameraController lists them.
+    const anchorIndex = Number.parseInt(key, 10) - 1;
+    if (this.camera && anchorIndex >= 0 && anchorIndex < this.camera.anchors.length) {
+      this.snapCameraToAnchor(anchorIndex);
+      return true;
+    }
+    return false;
   }
 
-  markCameraInteraction(active = true) {
-    if (!this.camera) {
-      return;
+  getDefaultKeyboardFocus() {
+    if (this.selectedSquare !== null) {
+      return this.selectedSquare;
     }
-    const now = this.getTimestamp();
-    this.cameraInteraction.lastInputTime = now;
-    if (active) {
-      this.cameraInteraction.active = true;
-      this.cameraInteraction.returning = false;
+    const { lastMove } = this.game.getState();
+    if (lastMove) {
+      return lastMove.to;
     }
+    // e1 for White, e8 for Black.
+    return this.getActingColor() === PieceColor.BLACK ? 4 : 60;
   }
 
-  endCameraInteraction() {
-    if (!this.camera) {
-      return;
-    }
-    this.cameraInteraction.active = false;
-    this.cameraInteraction.lastInputTime = this.getTimestamp();
+  setKeyboardFocus(index) {
+    this.keyboardFocus = index;
+    this.updateHighlights();
+    this.emitState();
   }
 
-  updateAutoAnchor(nowMs) {
-    if (!this.camera) {
+  // Steps to the neighbouring square whose on-screen offset best matches the arrow direction.
+  moveKeyboardFocus(direction) {
+    if (this.keyboardFocus === null) {
+      this.setKeyboardFocus(this.getDefaultKeyboardFocus());
       return;
     }
-    const interaction = this.cameraInteraction;
-    if (interaction.active) {
-      return;
+    const row = Math.floor(this.keyboardFocus / 8);
+    const col = this.keyboardFocus % 8;
+    const origin = this.projectSquareToScreen(this.keyboardFocus);
+    let best = null;
+    let bestScore = 0;
+    for (const [dRow, dCol] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+      const nextRow = row + dRow;
+      const nextCol = col + dCol;
+      if (nextRow < 0 || nextRow > 7 || nextCol < 0 || nextCol > 7) {
+        continue;
+      }
+      const index = nextRow * 8 + nextCol;
+      const point = origin ? this.projectSquareToScreen(index) : null;
+      // Without a usable projection fall back to the player's side at the bottom.
+      const sign = this.getOrientation() === PieceColor.BLACK ? -1 : 1;
+      const dx = point ? point.x - origin.x : dCol * sign;
+      const dy = point ? point.y - origin.y : dRow * sign;
+      const length = Math.hypot(dx, dy);
+      const score = length > 0 ? (dx * direction.x + dy * direction.y) / length : 0;
+      if (score > bestScore) {
+        bestScore = score;
+        best = index;
+      }
     }
-    if (!this.autoAnchorEnabled) {
-      interaction.returning = false;
-      return;
+    if (best !== null) {
+      this.setKeyboardFocus(best);
     }
+  }
 
-    if (!interaction.returning) {
-      if (nowMs - interaction.lastInputTime >= this.anchorSnapDelayMs) {
-        interaction.currentAnchor = this.camera.snapToNearestAnchor({ immediate: false });
-        interaction.returning = true;
-        interaction.lastInputTime = nowMs;
-      }
+  flipView() {
+    if (!this.camera) {
       return;
     }
+    this.camera.flip();
+    this.markCameraInteraction(false);
+  }
 
-    if (interaction.returning && this.camera.isSettled()) {
-      interaction.returning = false;
-      interaction.currentAnchor = this.camera.getNearestAnchorIndex();
-      interaction.lastInputTime = nowMs;
+  snapCameraToAnchor(index) {
+    const interaction = this.cameraInteraction;
+    this.camera.setAnchor(index);
+    interaction.currentAnchor = index;
+    interaction.active = false;
+    interaction.returning = true;
+    interaction.lastInputTime = this.getTimestamp();
+  }
+
+  // Suggestions for the type-to-move box, in the notation the player typed so far.
+  getMoveSuggestions(prefix = '') {
+    if (!this.canSelectPieces()) {
+      return [];
+    }
+    const text = prefix.trim();
+    const moves = this.game.getLegalMoveList();
+    const useUci = /^[a-h][1-8]/.test(text) && !moves.some((move) => move.san.startsWith(text));
+    return moves
+      .map((move) => (useUci ? move.uci : move.san))
+      .filter((notation) => notation.toLowerCase().startsWith(text.toLowerCase()))
+      .sort();
+  }
+
+  // Plays a move typed as SAN ("Nf3", "exd5", "e8=Q", "N@f3") or UCI ("e2e4", "e7e8q").
+  submitTypedMove(text) {
+    const input = String(text ?? '').trim();
+    if (!input) {
+      return false;
+    }
+    if (!this.canSelectPieces() || this.pieceDrag) {
+      this.onMessage?.('You cannot move right now.');
+      return false;
+    }
+    const parsed = this.game.findMoveBySAN(input) ?? this.parseUCIMove(input);
+    const legal = parsed
+      && this.game.getLegalMoveList().find(
+        (move) => move.to === parsed.to && (parsed.drop ? move.drop === parsed.drop : move.from === parsed.from),
+      );
+    if (!legal) {
+      this.onMessage?.(`${input} is not a legal move.`);
+      return false;
+    }
+    this.cancelPromotion();
+    this.selectedDrop = null;
+    if (legal.drop) {
+      this.selectedSquare = null;
+      this.legalMoves = [];
+      const result = this.game.drop(legal.drop, legal.to);
+      if (result.success) {
+        this.processMoveResult(result, { to: legal.to });
+      }
+      return result.success;
+    }
+    this.selectedSquare = legal.from;
+    this.legalMoves = this.game.getLegalMoves(legal.from);
+    if (parsed.promotion) {
+      const result = this.game.move(legal.from, legal.to, parsed.promotion);
+      if (result.success) {
+        this.processMoveResult(result, { from: legal.from, to: legal.to });
+      }
+      return result.success;
+    }
+    // Without a named piece a promotion goes through the picker, like a click would.
+    this.playSelectedMove(legal.from, legal.to);
+    return true;
+  }
+
+  getTimestamp() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  markCameraInteraction(active = true) {
+    if (!this.camera) {
+      return;
+    }
+    const now = this.getTimestamp();
+    this.cameraInteraction.lastInputTime = now;
+    if (active) {
+      this.cameraInteraction.active = true;
+      this.cameraInteraction.returning = false;
+    }
+  }
+
+  endCameraInteraction() {
+    if (!this.camera) {
+      return;
+    }
+    this.cameraInteraction.active = false;
+    this.cameraInteraction.lastInputTime = this.getTimestamp();
+  }
+
+  updateAutoAnchor(nowMs) {
+    if (!this.camera) {
+      return;
+    }
+    const interaction = this.cameraInteraction;
+    if (interaction.active) {
+      return;
+    }
+    if (!this.autoAnchorEnabled) {
+      interaction.returning = false;
+      return;
+    }
+
+    if (!interaction.returning) {
+      if (nowMs - interaction.lastInputTime >= this.anchorSnapDelayMs) {
+        interaction.currentAnchor = this.camera.snapToNearestAnchor({ immediate: false });
+        interaction.returning = true;
+        interaction.lastInputTime = nowMs;
+      }
+      return;
+    }
+
+    if (interaction.returning && this.camera.isSettled()) {
+      interaction.returning = false;
+      interaction.currentAnchor = this.camera.getNearestAnchorIndex();
+      interaction.lastInputTime = nowMs;
       this.notifyAnchorSnap();
     }
   }
@@ -1029,6 +1933,13 @@ export class App {
   }
 
   handleSingleTouchMove(event) {
+    // A press that started on a movable piece carries the piece instead of orbiting.
+    if (this.updatePieceDrag(event)) {
+      if (this.pieceDrag.lifted) {
+        this.touchState.tapCandidate = null;
+      }
+      return;
+    }
     if (!this.dragState.active || this.dragState.pointerId !== event.pointerId) {
       this.dragState = {
         active: true,
@@ -1136,7 +2047,7 @@ export class App {
     if (!this.singlePlayer) {
       return true;
     }
-    if (this.engineThinking) {
+    if (this.engineThinking || this.spectating) {
       return false;
     }
     return this.game.currentPlayer === this.humanColor;
@@ -1166,20 +2077,25 @@ export class App {
           y: event.clientY,
           time: this.getTimestamp(),
         };
+        if (this.canSelectPieces() && !this.pendingPromotion) {
+          this.preparePieceDrag(event);
+        }
       } else if (this.touchState.pointers.size === 2) {
         this.touchState.tapCandidate = null;
+        this.cancelPieceDrag();
         this.resetDragState();
         this.initializeMultiTouchGesture();
       } else {
         this.touchState.tapCandidate = null;
+        this.cancelPieceDrag();
         this.resetDragState();
         this.initializeMultiTouchGesture();
       }
     } else {
       if (event.button === 0 && this.canSelectPieces()) {
-        const square = this.pickSquare(event.clientX, event.clientY);
-        if (square !== null) {
-          this.handleSquareSelection(square);
+        this.handleBoardPick(event.clientX, event.clientY);
+        if (!event.shiftKey && this.canSelectPieces() && !this.pendingPromotion) {
+          this.preparePieceDrag(event);
         }
       }
       if (event.button !== 0 || event.shiftKey) {
@@ -1218,6 +2134,10 @@ export class App {
 
     this.updateHoverSquare(event.clientX, event.clientY);
 
+    if (this.updatePieceDrag(event)) {
+      return;
+    }
+
     if (!this.dragState.active || this.dragState.pointerId !== event.pointerId) {
       return;
     }
@@ -1264,11 +2184,9 @@ export class App {
         }
       }
 
-      if (wasTap && this.canSelectPieces()) {
-        const square = this.pickSquare(event.clientX, event.clientY);
-        if (square !== null) {
-          this.handleSquareSelection(square);
-        }
+      const carried = this.finishPieceDrag(event);
+      if (wasTap && !carried && this.canSelectPieces()) {
+        this.handleBoardPick(event.clientX, event.clientY);
       }
 
       if (this.touchState.pointers.size === 1) {
@@ -1308,12 +2226,121 @@ export class App {
       return;
     }
 
+    this.finishPieceDrag(event);
     if (this.dragState.pointerId === event.pointerId) {
       this.resetDragState();
       this.endCameraInteraction();
     }
   }
 
+  // Arms a drag when the press lands on a piece (or tray piece) of the side to move. Nothing lifts
+  // until the pointer travels past the threshold.
+  preparePieceDrag(event) {
+    const { square, trayState: trayPiece } = this.pickBoardTarget(event.clientX, event.clientY);
+    let source = null;
+    if (trayPiece) {
+      if (this.game.variant.drops && trayPiece.pieceColor === this.game.currentPlayer) {
+        source = { id: trayPiece.id, from: null, trayState: trayPiece, position: trayPiece.position };
+      }
+    } else {
+      const piece = square === null ? null : this.game.getPieceAt(square);
+      const state = square === null ? null : this.currentPieceIndexMap.get(square);
+      if (piece && state && piece.color === this.game.currentPlayer) {
+        source = { id: state.id, from: square, trayState: null, position: state.position };
+      }
+    }
+    this.pieceDrag = source
+      ? {
+        ...source,
+        pointerId: event.pointerId,
+        threshold: PIECE_DRAG_THRESHOLD[event.pointerType === 'touch' ? 'touch' : 'mouse'],
+        startX: event.clientX,
+        startY: event.clientY,
+        lifted: false,
+        offset: [0, 0, 0],
+      }
+      : null;
+  }
+
+  // Returns true while this pointer owns a piece drag, lifted or still within the threshold.
+  updatePieceDrag(event) {
+    const drag = this.pieceDrag;
+    if (!drag || drag.pointerId !== event.pointerId) {
+      return false;
+    }
+    if (!drag.lifted) {
+      if (Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < drag.threshold) {
+        return true;
+      }
+      drag.lifted = true;
+      this.selectDragSource(drag);
+    }
+    const point = this.pickBoardPlane(event.clientX, event.clientY);
+    if (point) {
+      drag.offset = [point.x - drag.position[0], PIECE_DRAG_LIFT, point.z - drag.position[2]];
+      this.renderer.setPieceOffset(drag.id, drag.offset);
+    }
+    this.updateHoverSquare(event.clientX, event.clientY);
+    return true;
+  }
+
+  selectDragSource(drag) {
+    if (drag.trayState) {
+      this.selectedSquare = null;
+      this.selectedDrop = drag.trayState;
+      this.legalMoves = this.game.getLegalDrops(drag.trayState.type);
+    } else {
+      this.selectedDrop = null;
+      this.selectedSquare = drag.from;
+      this.legalMoves = this.game.getLegalMoves(drag.from);
+    }
+    this.updateHighlights();
+  }
+
+  // Drops a carried piece: a legal target plays the move, anything else snaps it back. Returns true
+  // when a piece had been lifted, so the release is not also treated as a tap.
+  finishPieceDrag(event) {
+    const drag = this.pieceDrag;
+    if (!drag || drag.pointerId !== event.pointerId) {
+      return false;
+    }
+    if (!drag.lifted) {
+      this.pieceDrag = null;
+      return false;
+    }
+    if (event.type === 'pointercancel' || !this.canSelectPieces()) {
+      this.cancelPieceDrag();
+      return true;
+    }
+    // Pick before clearing the drag so the carried piece does not hide the square beneath it.
+    const square = this.pickSquare(event.clientX, event.clientY);
+    this.pieceDrag = null;
+    const target = square === null
+      ? null
+      : this.legalMoves.find((move) => move.to === square)
+        ?? (drag.trayState ? null : this.findCastleForTarget(this.legalMoves, square));
+    if (!target) {
+      this.renderer.setPieceOffset(drag.id, [0, 0, 0]);
+      this.updateHighlights();
+      return true;
+    }
+    const plies = this.game.moveHistory.length;
+    this.handleSquareSelection(square, { heldOffset: drag.offset });
+    if (this.game.moveHistory.length === plies && !this.pendingPromotion) {
+      this.renderer.setPieceOffset(drag.id, [0, 0, 0]);
+    }
+    return true;
+  }
+
+  cancelPieceDrag() {
+    const drag = this.pieceDrag;
+    this.pieceDrag = null;
+    if (drag?.lifted) {
+      this.renderer.setPieceOffset(drag.id, [0, 0, 0]);
+      this.updateHighlights();
+    }
+  }
+
   handlePointerLeave(event) {
     if (event.pointerType === 'touch') {
       return;
@@ -1330,22 +2357,64 @@ export class App {
     this.markCameraInteraction(false);
   }
 
-  handleSquareSelection(squareIndex) {
+  handleBoardPick(clientX, clientY) {
+    // Clicking the board while choosing a promotion piece backs out of the move.
+    if (this.pendingPromotion) {
+      this.cancelPromotion();
+      return;
+    }
+    const { square, trayState } = this.pickBoardTarget(clientX, clientY);
+    if (trayState) {
+      if (this.game.variant.drops) {
+        this.handleTraySelection(trayState);
+      }
+      return;
+    }
+    if (square !== null) {
+      this.handleSquareSelection(square);
+    }
+  }
+
+  handleTraySelection(trayState) {
     if (!this.canSelectPieces()) {
       return;
     }
-    if (this.selectedSquare !== null) {
-      const move = this.legalMoves.find((m) => m.to === squareIndex);
-      if (move) {
-        const fromIndex = this.selectedSquare;
-        const toIndex = squareIndex;
-        const result = this.game.move(fromIndex, toIndex);
+    this.selectedSquare = null;
+    if (trayState.pieceColor !== this.game.currentPlayer || this.selectedDrop?.id === trayState.id) {
+      this.selectedDrop = null;
+      this.legalMoves = [];
+    } else {
+      this.selectedDrop = trayState;
+      this.legalMoves = this.game.getLegalDrops(trayState.type);
+    }
+    this.updateHighlights();
+    this.emitState();
+  }
+
+  handleSquareSelection(squareIndex, context = {}) {
+    if (!this.canSelectPieces()) {
+      return;
+    }
+    if (this.selectedDrop) {
+      const drop = this.legalMoves.find((move) => move.to === squareIndex);
+      this.selectedDrop = null;
+      this.legalMoves = [];
+      if (drop) {
+        const result = this.game.drop(drop.drop, squareIndex);
         if (result.success) {
-          this.processMoveResult(result, { from: fromIndex, to: toIndex });
+          this.processMoveResult(result, { to: squareIndex, ...context });
           return;
         }
       }
     }
+    if (this.selectedSquare !== null) {
+      const move = this.legalMoves.find((m) => m.to === squareIndex)
+        ?? this.findCastleForTarget(this.legalMoves, squareIndex);
+      if (move) {
+        this.playSelectedMove(this.selectedSquare, move.to, context);
+        return;
+      }
+    }
 
     const piece = this.game.getPieceAt(squareIndex);
     if (piece && piece.color === this.game.currentPlayer) {
@@ -1356,109 +2425,888 @@ export class App {
       this.legalMoves = [];
     }
     this.updateHighlights();
+    this.emitState();
   }
 
-  processMoveResult(result, context = {}) {
-    this.selectedSquare = null;
-    this.legalMoves = [];
-    this.hoverSquare = null;
-    const previousIndexMap = this.currentPieceIndexMap ?? new Map();
-    const previousIdMap = this.currentPieceStateMap ?? new Map();
-    const nextStates = this.buildPieceStates();
+  // Plays a move from the current selection, asking for the promotion piece when there is a choice.
+  playSelectedMove(fromIndex, toIndex, context = {}) {
+    const options = this.legalMoves
+      .filter((move) => move.to === toIndex && move.promotion)
+      .map((move) => move.promotion);
+    if (options.length > 0 && !(this.autoQueen && options.includes(PieceType.QUEEN))) {
+      this.pendingPromotion = { from: fromIndex, to: toIndex, options, context };
+      this.updateHighlights();
+      this.emitState();
+      return;
+    }
+    const result = this.game.move(fromIndex, toIndex, options.length > 0 ? PieceType.QUEEN : null);
+    if (result.success) {
+      this.processMoveResult(result, { from: fromIndex, to: toIndex, ...context });
+    }
+  }
 
-    this.scheduleMoveAnimation({
-      result,
-      context,
-      previousIndexMap,
-      previousIdMap,
-      nextStates,
-    });
+  choosePromotion(type) {
+    const pending = this.pendingPromotion;
+    if (!pending || !pending.options.includes(type)) {
+      return false;
+    }
+    this.pendingPromotion = null;
+    const result = this.game.move(pending.from, pending.to, type);
+    if (!result.success) {
+      this.emitState();
+      this.onMessage?.(result.message);
+      return false;
+    }
+    this.processMoveResult(result, { from: pending.from, to: pending.to, ...pending.context });
+    return true;
+  }
 
-    this.applyPieceStates(nextStates, { updateRenderer: false });
+  // Leaves the pawn selected so another square can be chosen.
+  cancelPromotion() {
+    const pending = this.pendingPromotion;
+    if (!pending) {
+      return;
+    }
+    this.pendingPromotion = null;
+    // A dragged pawn waits over the promotion square; put it back.
+    const pawnState = this.currentPieceIndexMap.get(pending.from);
+    if (pawnState) {
+      this.renderer.setPieceOffset(pawnState.id, [0, 0, 0]);
+    }
     this.updateHighlights();
-    this.updateUI();
+    this.emitState();
+  }
 
-    let message = '';
-    if (result.checkmate) {
-      message = `Checkmate! ${capitalize(result.winner)} wins.`;
-    } else if (result.stalemate) {
-      message = 'Stalemate. The game is a draw.';
-    } else if (result.check) {
-      message = `${capitalize(result.check)} is in check.`;
-    }
-    this.onMessage?.(message);
+  canAnalyze() {
+    return Boolean(this.engine) && this.singlePlayer;
+  }
 
-    if (this.singlePlayer) {
-      if (result.movedColor === this.humanColor && !result.checkmate && !result.stalemate && !this.game.winner) {
-        this.requestEngineMove();
-      } else if (result.movedColor === this.engineColor) {
-        this.engineThinking = false;
-        this.emitState();
-      }
-    }
+  // Searches of its own, which background analysis gives way to.
+  isEngineBusy() {
+    return this.engineThinking
+      || this.engineEvaluating
+      || this.hintSearching
+      || this.review?.status === 'running';
   }
 
-  parseUCIMove(uci) {
-    if (typeof uci !== 'string' || uci.length < 4) {
-      return null;
+  canReview() {
+    return this.canAnalyze() && this.game.isFinished() && this.game.getPlyCount() > 0 && !this.isEngineBusy();
+  }
+
+  async startReview() {
+    if (!this.canReview()) {
+      return false;
     }
-    const files = 'abcdefgh';
-    const fromFile = files.indexOf(uci[0]);
-    const fromRank = Number.parseInt(uci[1], 10);
-    const toFile = files.indexOf(uci[2]);
-    const toRank = Number.parseInt(uci[3], 10);
-    if (fromFile < 0 || toFile < 0 || Number.isNaN(fromRank) || Number.isNaN(toRank)) {
-      return null;
+    this.reviewRequestId += 1;
+    const requestId = this.reviewRequestId;
+    const total = this.game.getPlyCount() + 1;
+    this.review = { status: 'running', done: 0, total };
+    this.reviewAbort = new AbortController();
+    this.emitState();
+    let review;
+    try {
+      await this.engineReadyPromise;
+      // A handicapped engine plays weaker moves on purpose, so the review searches at full strength
+      // and the opponent's level comes back before its next search.
+      this.engineStrengthDirty = true;
+      await this.engine.setStrength({ skillLevel: ENGINE_SKILL_RANGE.max });
+      review = await reviewGame(this.game, this.engine, {
+        signal: this.reviewAbort.signal,
+        onProgress: (done) => {
+          if (requestId === this.reviewRequestId) {
+            this.review = { status: 'running', done, total };
+            this.emitState();
+          }
+        },
+      });
+    } catch (error) {
+      if (requestId === this.reviewRequestId) {
+        console.error('Game review failed', error);
+        this.review = null;
+        this.emitState();
+        this.onMessage?.('Review stopped before it finished.');
+      }
+      return false;
     }
-    if (fromRank < 1 || fromRank > 8 || toRank < 1 || toRank > 8) {
-      return null;
+    if (requestId !== this.reviewRequestId) {
+      return false;
     }
-    const fromRow = 8 - fromRank;
-    const toRow = 8 - toRank;
-    const fromIndex = fromRow * 8 + fromFile;
-    const toIndex = toRow * 8 + toFile;
-    if (fromIndex < 0 || fromIndex >= 64 || toIndex < 0 || toIndex >= 64) {
-      return null;
+    review.evaluations.forEach((entry, ply) => {
+      this.recordEvaluation(ply, entry.fen, entry.score, entry.sideToMove, entry.depth);
+    });
+    this.review = { status: 'done', moves: review.moves, sides: review.sides };
+    this.emitState();
+    return true;
+  }
+
+  // Hints are for the player's own turn in the live position, not while browsing.
+  canHint() {
+    if (!this.canAnalyze() || this.spectating || this.game.isOver() || this.game.canRedo()) {
+      return false;
     }
-    let promotion = null;
-    if (uci.length >= 5) {
-      const promotionMap = {
-        q: PieceType.QUEEN,
-        r: PieceType.ROOK,
-        b: PieceType.BISHOP,
-        n: PieceType.KNIGHT,
-      };
-      promotion = promotionMap[uci[4].toLowerCase()] ?? null;
+    if (this.game.currentPlayer !== this.humanColor || this.isEngineBusy()) {
+      return false;
     }
-    return { from: fromIndex, to: toIndex, promotion };
+    return !this.hint || this.hint.level < 2;
   }
 
-  async requestEngineMove() {
-    if (!this.singlePlayer || !this.engine) {
-      return;
-    }
-    if (this.game.winner || this.game.currentPlayer !== this.engineColor) {
-      return;
+  // The first request shows which piece to move; asking again reveals the move as an arrow.
+  async requestHint() {
+    if (!this.canHint()) {
+      return false;
     }
-    if (this.engineReadyPromise) {
-      try {
-        await this.engineReadyPromise;
-      } catch (error) {
-        console.error('Engine initialization failed', error);
-        this.singlePlayer = false;
-        this.engineThinking = false;
-        this.onMessage?.('Engine unavailable. Two-player mode active.');
-        this.emitState();
-        return;
-      }
+    if (this.hint) {
+      this.hint = { ...this.hint, level: 2, text: `Hint: ${this.hint.san}` };
+      this.showHint();
+      return true;
     }
 
-    this.engineThinking = true;
+    const fen = this.game.getFEN();
+    this.hintRequestId += 1;
+    const requestId = this.hintRequestId;
+    this.hintSearching = true;
+    this.emitState();
+    let uci;
+    try {
+      await this.engineReadyPromise;
+      // The opponent's level comes back before its next search.
+      this.engineStrengthDirty = true;
+      await this.engine.setStrength({ skillLevel: ENGINE_SKILL_RANGE.max });
+      uci = await this.engine.getBestMove(fen, { movetime: HINT_MOVE_TIME_MS });
+    } catch (error) {
+      // A move or a new game stopped the search; the hint no longer applies.
+      uci = null;
+    }
+    if (requestId !== this.hintRequestId) {
+      return false;
+    }
+    this.hintSearching = false;
+    const move = this.game.getFEN() === fen
+      ? this.game.getLegalMoveList().find((entry) => entry.uci === uci)
+      : null;
+    if (!move) {
+      this.emitState();
+      return false;
+    }
+    const pieceName = move.drop ? `drop a ${move.piece}` : `move your ${move.piece}`;
+    this.hint = {
+      fen,
+      level: 1,
+      from: move.from,
+      to: move.to,
+      san: move.san,
+      text: `Hint: ${pieceName}.`,
+    };
+    this.hintsUsed += 1;
+    this.showHint();
+    return true;
+  }
+
+  showHint() {
+    const { hint } = this;
+    if (hint.level > 1 && hint.from !== null) {
+      const fromSquare = toWorldPosition(Math.floor(hint.from / 8), hint.from % 8);
+      const toSquare = toWorldPosition(Math.floor(hint.to / 8), hint.to % 8);
+      this.renderer.setArrow({
+        from: [fromSquare.x, 0, fromSquare.z],
+        to: [toSquare.x, 0, toSquare.z],
+        color: HIGHLIGHT_COLORS.hint,
+      });
+    }
+    this.updateHighlights();
+    this.onMessage?.(hint.text);
+    this.emitState();
+  }
+
+  clearHint() {
+    this.hint = null;
+    this.renderer.setArrow(null);
+    this.updateHighlights();
+  }
+
+  closeReview() {
+    const running = this.review?.status === 'running';
+    this.reviewRequestId += 1;
+    this.review = null;
+    if (running) {
+      this.reviewAbort?.abort();
+    }
+    this.reviewAbort = null;
+    this.emitState();
+  }
+
+  // Both toggles restart the analysis, which searches more lines only while they are shown.
+  setAnalysisEnabled(enabled) {
+    this.analysisEnabled = Boolean(enabled);
+    this.stopAnalysis();
+    this.analysisLines = [];
+    this.emitState();
+  }
+
+  setEvaluationEnabled(enabled) {
+    this.evaluationEnabled = Boolean(enabled);
+    this.stopAnalysis();
+    this.emitState();
+  }
+
+  // Keeps the background analysis on the position shown. It gives way whenever the engine searches
+  // for itself, since both share the one worker, and resumes on the next state change.
+  updateAnalysis() {
+    const wanted = (this.analysisEnabled || this.evaluationEnabled)
+      && this.canAnalyze()
+      && !this.isEngineBusy();
+    if (!wanted) {
+      this.stopAnalysis();
+      return;
+    }
+    const fen = this.game.getFEN();
+    if (fen !== this.analysisFen) {
+      this.startAnalysis(fen);
+    }
+  }
+
+  async startAnalysis(fen) {
+    this.stopAnalysis();
+    this.analysisFen = fen;
+    this.analysisLines = [];
+    let session;
+    try {
+      await this.engineReadyPromise;
+      if (this.analysisFen !== fen) {
+        return;
+      }
+      session = await this.engine.analyze(fen, {
+        multiPV: this.analysisEnabled ? this.analysisLineCount : 1,
+        onInfo: () => this.scheduleAnalysisEmit(),
+      });
+    } catch (error) {
+      console.error('Failed to start analysis', error);
+      return;
+    }
+    if (this.analysisFen !== fen || session.done) {
+      session.cancel();
+      return;
+    }
+    this.analysisSession = session;
+    // Another search ending this one (a takeback's newGame, say) lets the next update restart it.
+    session.finished.then(() => {
+      if (this.analysisSession === session) {
+        this.analysisSession = null;
+        this.analysisFen = null;
+      }
+    });
+  }
+
+  stopAnalysis() {
+    const session = this.analysisSession;
+    this.analysisSession = null;
+    this.analysisFen = null;
+    clearTimeout(this.analysisEmitTimer);
+    this.analysisEmitTimer = null;
+    session?.cancel();
+  }
+
+  scheduleAnalysisEmit() {
+    if (this.analysisEmitTimer !== null) {
+      return;
+    }
+    this.analysisEmitTimer = setTimeout(() => {
+      this.analysisEmitTimer = null;
+      const session = this.analysisSession;
+      if (!session || session.fen !== this.game.getFEN()) {
+        return;
+      }
+      const sideToMove = this.game.currentPlayer;
+      const ply = this.game.moveHistory.length;
+      const [best] = session.lines;
+      if (best && !best.score.bound) {
+        this.recordEvaluation(ply, session.fen, best.score, sideToMove, best.depth ?? 0);
+      }
+      if (!this.analysisEnabled) {
+        this.emitState();
+        return;
+      }
+      this.analysisLines = session.lines.filter(Boolean).map((info) => {
+        const score = scoreForWhite(info.score, sideToMove);
+        return {
+          rank: info.multipv,
+          depth: info.depth ?? null,
+          seldepth: info.seldepth ?? null,
+          score,
+          scoreLabel: formatScore(score),
+          bound: info.score.bound,
+          wdl: info.wdl && sideToMove === PieceColor.BLACK
+            ? { win: info.wdl.loss, draw: info.wdl.draw, loss: info.wdl.win }
+            : info.wdl,
+          nodes: info.nodes ?? null,
+          nps: info.nps ?? null,
+          pv: info.pv,
+          san: this.game.formatLine(info.pv.slice(0, ANALYSIS_PV_LENGTH)),
+        };
+      });
+      this.emitState();
+    }, ANALYSIS_EMIT_INTERVAL_MS);
+  }
+
+  // Keeps the deepest score seen for the position at `ply` of the current line. `score` is from the
+  // side to move.
+  recordEvaluation(ply, fen, score, sideToMove, depth) {
+    const entry = this.evaluations[ply];
+    if (entry?.fen === fen && entry.depth > depth) {
+      return;
+    }
+    const whiteScore = scoreForWhite(score, sideToMove);
+    this.evaluations[ply] = {
+      fen,
+      depth,
+      score: whiteScore,
+      scoreLabel: formatScore(whiteScore),
+      share: evaluationShare(score, sideToMove),
+    };
+  }
+
+  // Evaluations follow the current line. A different position at the current ply means the line
+  // was replaced from there, so the entries from that ply on no longer apply.
+  trimEvaluations() {
+    const ply = this.game.moveHistory.length;
+    const entry = this.evaluations[ply];
+    if (entry && entry.fen !== this.game.getFEN()) {
+      this.evaluations.length = ply;
+    }
+    this.evaluations.length = Math.min(this.evaluations.length, this.game.getPlyCount() + 1);
+  }
+
+  getEvaluationState(ply, plyCount) {
+    const points = [];
+    this.evaluations.forEach((entry, index) => {
+      points.push({ ply: index, share: entry.share, scoreLabel: entry.scoreLabel });
+    });
+    return {
+      available: this.canAnalyze(),
+      paused: this.isEngineBusy(),
+      current: this.evaluations[ply] ?? null,
+      points,
+      ply,
+      plyCount,
+    };
+  }
+
+  // Takes effect from the engine's next search, without restarting the game.
+  setEngineStrength(settings) {
+    this.engineStrength = normalizeEngineStrength({ ...this.engineStrength, ...settings });
+    this.engineStrengthDirty = true;
+    if (this.engine && !this.engineThinking) {
+      this.applyEngineStrength();
+    }
+    this.emitState();
+    return this.engineStrength;
+  }
+
+  async applyEngineStrength(strength = this.engineStrength) {
+    this.engineStrengthDirty = false;
+    const { mode, skill, elo } = strength;
+    try {
+      await this.engine.setStrength({ skillLevel: skill, elo: mode === 'elo' ? elo : null });
+    } catch (error) {
+      console.error('Failed to apply engine strength', error);
+    }
+  }
+
+  setAutoQueen(enabled) {
+    this.autoQueen = Boolean(enabled);
+    this.emitState();
+  }
+
+  projectSquareToScreen(index) {
+    const { x, z } = toWorldPosition(Math.floor(index / 8), index % 8);
+    const clip = transformPoint(this.camera.getViewProjectionMatrix(), [x, 0.5, z, 1]);
+    if (clip[3] <= 0) {
+      return null;
+    }
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: rect.left + ((clip[0] / clip[3] + 1) / 2) * rect.width,
+      y: rect.top + ((1 - clip[1] / clip[3]) / 2) * rect.height,
+    };
+  }
+
+  processMoveResult(result, context = {}) {
+    this.pgnResult = null;
+    this.selectedSquare = null;
+    this.selectedDrop = null;
+    this.legalMoves = [];
+    this.hoverSquare = null;
+    const previousIndexMap = this.currentPieceIndexMap ?? new Map();
+    const previousIdMap = this.currentPieceStateMap ?? new Map();
+    const droppedState = result.drop ? this.unregisterCapturedPiece(result.drop.id) : null;
+    const nextStates = this.buildPieceStates();
+
+    if (droppedState) {
+      this.scheduleDropAnimation(droppedState, nextStates, context.heldOffset ?? null);
+    } else {
+      this.scheduleMoveAnimation({
+        result,
+        context,
+        previousIndexMap,
+        previousIdMap,
+        nextStates,
+      });
+    }
+
+    this.applyPieceStates(nextStates, { updateRenderer: false });
+    this.switchClock(result.movedColor);
+    this.updateHighlights();
+    this.updateUI();
+    if (this.clock?.flagged) {
+      this.handleFlagFall(this.clock.flagged);
+      return;
+    }
+
+    let message = '';
+    if (result.checkmate) {
+      message = `Checkmate! ${capitalize(result.winner)} wins.`;
+    } else if (result.draw) {
+      message = `${END_REASON_LABELS[result.endReason] ?? 'Draw'}. The game is a draw.`;
+    } else if (result.winner) {
+      message = `${END_REASON_LABELS[result.endReason]}! ${capitalize(result.winner)} wins.`;
+    } else if (result.check) {
+      message = `${capitalize(result.check)} is in check.`;
+    }
+    this.onMessage?.(message);
+
+    if (this.spectating) {
+      this.engineThinking = false;
+      this.emitState();
+      this.followMove(context.to);
+      this.scheduleSpectatorMove();
+    } else if (this.singlePlayer) {
+      if (result.movedColor === this.humanColor && !this.game.winner) {
+        this.requestEngineMove();
+      } else if (result.movedColor === this.engineColor) {
+        this.engineThinking = false;
+        this.emitState();
+      }
+    }
+  }
+
+  switchClock(movedColor) {
+    if (!this.clock) {
+      return;
+    }
+    if (this.game.winner) {
+      this.clock.stop();
+      return;
+    }
+    if (this.clock.press(movedColor)) {
+      return;
+    }
+    // The player to move should not lose time while the previous move is still animating.
+    if (this.clockPausesDuringAnimation && this.animationInProgress) {
+      this.clock.pause();
+      this.queueAfterAnimations(() => this.clock?.resume());
+    }
+  }
+
+  // Called every frame: catches a flag fall and refreshes the HUD whenever the displayed time changes.
+  updateClock() {
+    if (!this.clock || this.game.winner || this.clock.active === null) {
+      return;
+    }
+    const flagged = this.clock.getFlagged();
+    if (flagged) {
+      this.handleFlagFall(flagged);
+      return;
+    }
+    const remaining = this.clock.getRemaining(this.clock.active);
+    const displayKey = `${this.clock.active}:${
+      remaining < 10000 ? Math.ceil(remaining / 100) : Math.ceil(remaining / 1000)
+    }`;
+    if (displayKey !== this.lastClockDisplayKey) {
+      this.lastClockDisplayKey = displayKey;
+      this.emitState();
+    }
+  }
+
+  handleFlagFall(color) {
+    this.game.flag(color);
+    const opponent = color === PieceColor.WHITE ? PieceColor.BLACK : PieceColor.WHITE;
+    this.finishGame(
+      this.game.winner === 'draw'
+        ? `${capitalize(color)} ran out of time, but ${capitalize(opponent)} cannot mate. The game is a draw.`
+        : `${capitalize(color)} ran out of time. ${capitalize(opponent)} wins.`,
+    );
+  }
+
+  // The side the local controls act for: the human in single-player mode, otherwise the side to move.
+  getActingColor() {
+    return this.singlePlayer ? this.humanColor : this.game.currentPlayer;
+  }
+
+  // Resigning, offering and claiming act on the latest position only.
+  requireLatestPosition() {
+    if (!this.game.canRedo()) {
+      return true;
+    }
+    this.onMessage?.('Go to the latest move first.');
+    return false;
+  }
+
+  resign() {
+    if (this.spectating || !this.requireLatestPosition()) {
+      return false;
+    }
+    const color = this.getActingColor();
+    const result = this.game.resign(color);
+    if (!result.success) {
+      this.onMessage?.(result.message);
+      return false;
+    }
+    this.finishGame(`${capitalize(color)} resigns. ${capitalize(result.winner)} wins.`);
+    return true;
+  }
+
+  offerDraw() {
+    if (this.spectating || !this.requireLatestPosition()) {
+      return false;
+    }
+    const color = this.getActingColor();
+    const result = this.game.offerDraw(color);
+    if (!result.success) {
+      this.onMessage?.(result.message);
+      return false;
+    }
+    if (this.game.winner) {
+      this.finishGame('Draw agreed.');
+      return true;
+    }
+    if (!this.singlePlayer) {
+      this.emitState();
+      this.onMessage?.(`${capitalize(color)} offers a draw.`);
+      return true;
+    }
+    // The engine answers from the score of its next search, or a quick one if it is idle.
+    this.engineDrawReplyPending = true;
+    this.emitState();
+    this.onMessage?.('Draw offered. Stockfish is considering…');
+    if (!this.engineThinking) {
+      this.evaluateDrawOffer();
+    }
+    return true;
+  }
+
+  async evaluateDrawOffer() {
+    if (!this.engine) {
+      this.answerDrawOffer(null);
+      return;
+    }
+    const requestId = this.engineRequestId;
+    let score = null;
+    this.engineEvaluating = true;
+    this.stopAnalysis();
+    try {
+      await this.engineReadyPromise;
+      score = await this.engine.evaluate(this.game.getFEN(), { depth: 12 });
+    } catch (error) {
+      // A move played meanwhile restarts the search; its result answers the offer instead.
+      return;
+    } finally {
+      this.engineEvaluating = false;
+    }
+    if (requestId !== this.engineRequestId || !this.engineDrawReplyPending) {
+      return;
+    }
+    // The evaluated position has the human to move, so flip the score to the engine's side.
+    const centipawns = scoreToCentipawns(score);
+    this.answerDrawOffer(centipawns === null ? null : -centipawns);
+  }
+
+  // Returns true when the engine took the draw.
+  answerDrawOffer(engineCentipawns) {
+    this.engineDrawReplyPending = false;
+    if (this.game.drawOffer !== this.humanColor || this.game.winner) {
+      return false;
+    }
+    if (engineCentipawns !== null && engineCentipawns <= this.engineDrawAcceptScore) {
+      this.game.acceptDraw(this.engineColor);
+      this.finishGame('Stockfish accepts the draw.');
+      return true;
+    }
+    this.game.declineDraw(this.engineColor);
+    this.emitState();
+    this.onMessage?.('Stockfish declines the draw offer.');
+    return false;
+  }
+
+  claimDraw(reason = null) {
+    if (!this.requireLatestPosition()) {
+      return false;
+    }
+    const result = this.game.claimDraw(reason);
+    if (!result.success) {
+      this.onMessage?.(result.message);
+      return false;
+    }
+    this.finishGame(`Draw claimed (${END_REASON_LABELS[result.endReason].toLowerCase()}).`);
+    return true;
+  }
+
+  setEngineResignation(score, moves = this.engineResignMoves) {
+    this.engineResignScore = typeof score === 'number' ? score : null;
+    this.engineResignMoves = Math.max(1, moves);
+    this.engineLowScoreStreak = 0;
+  }
+
+  // Tracks the engine's own score after each search; true once it should resign.
+  shouldEngineResign(engineCentipawns) {
+    if (this.engineResignScore === null || engineCentipawns === null) {
+      return false;
+    }
+    this.engineLowScoreStreak = engineCentipawns <= this.engineResignScore
+      ? this.engineLowScoreStreak + 1
+      : 0;
+    return this.engineLowScoreStreak >= this.engineResignMoves;
+  }
+
+  // Shared clean-up for results decided off the board: time, resignation, agreement and claims.
+  finishGame(message) {
+    this.cancelPieceDrag();
+    this.cancelPromotion();
+    this.clock?.stop();
+    this.cancelEngineSearch();
+    this.engineDrawReplyPending = false;
+    this.pgnResult = null;
+    this.selectedSquare = null;
+    this.selectedDrop = null;
+    this.legalMoves = [];
+    this.updateHighlights();
+    this.emitState();
+    this.onMessage?.(message);
+    this.scheduleSpectatorMove();
+  }
+
+  canTakeBack() {
+    if (!this.game.canUndo() || this.game.resultFinal || this.spectating) {
+      return false;
+    }
+    if (!this.singlePlayer) {
+      return true;
+    }
+    return this.game.undoStack.some((record) => record.movedColor === this.humanColor);
+  }
+
+  takeBack() {
+    if (this.animationInProgress || !this.canTakeBack()) {
+      return;
+    }
+    this.cancelEngineSearch();
+    this.cancelPromotion();
+    this.engineDrawReplyPending = false;
+    this.engineLowScoreStreak = 0;
+    this.undoStep();
+  }
+
+  undoStep() {
+    const result = this.game.undo();
+    if (!result.success) {
+      return;
+    }
+    this.processUndoResult(result);
+
+    // In single-player mode keep rewinding until the human's own move has been taken back.
+    if (this.singlePlayer && result.movedColor !== this.humanColor && this.game.canUndo()) {
+      this.queueAfterAnimations(() => this.undoStep());
+      return;
+    }
+    this.queueAfterAnimations(() => {
+      if (this.singlePlayer && !this.game.winner && this.game.currentPlayer === this.engineColor) {
+        this.requestEngineMove();
+      }
+    });
+  }
+
+  processUndoResult(result) {
+    this.pgnResult = null;
+    this.selectedSquare = null;
+    this.selectedDrop = null;
+    this.legalMoves = [];
+    this.hoverSquare = null;
+    const previousIndexMap = this.currentPieceIndexMap ?? new Map();
+    const previousIdMap = this.currentPieceStateMap ?? new Map();
+    const restoredState = result.restored ? this.unregisterCapturedPiece(result.restored.id) : null;
+    // An undone drop puts the piece back in its owner's hand.
+    if (result.drop) {
+      this.registerCapturedPiece(previousIdMap.get(result.drop.id), result.drop.color);
+    }
+    const nextStates = this.buildPieceStates();
+
+    this.scheduleMoveAnimation({
+      result: {
+        castle: result.castle
+          ? { rookFrom: result.castle.rookTo, rookTo: result.castle.rookFrom }
+          : null,
+      },
+      context: { from: result.castle?.kingTo ?? result.to, to: result.from },
+      previousIndexMap,
+      previousIdMap,
+      nextStates,
+      restoredState,
+    });
+
+    this.applyPieceStates(nextStates, { updateRenderer: false });
+    if (restoredState || result.drop) {
+      this.layoutCapturedPieces();
+    }
+    // Taking back every move leaves the clock waiting for the first move again.
+    if (this.game.canUndo()) {
+      this.clock?.switchTo(this.game.currentPlayer);
+    } else {
+      this.clock?.stop();
+    }
+    this.updateHighlights();
+    this.updateUI();
+    this.onMessage?.('Move taken back.');
+  }
+
+  cancelEngineSearch() {
+    this.engineRequestId += 1;
+    this.engineThinking = false;
+    // A running review keeps searching while its moves are browsed; closeReview() ends it.
+    if (this.review?.status !== 'running') {
+      this.engine?.stop();
+    }
+  }
+
+  parseUCIMove(uci) {
+    if (typeof uci !== 'string' || uci.length < 4) {
+      return null;
+    }
+    const files = 'abcdefgh';
+    // Drops arrive as e.g. N@f3.
+    if (uci[1] === '@') {
+      const drop = DROP_LETTERS[uci[0].toUpperCase()];
+      const file = files.indexOf(uci[2]);
+      const rank = Number.parseInt(uci[3], 10);
+      if (!drop || file < 0 || !(rank >= 1 && rank <= 8)) {
+        return null;
+      }
+      return { from: null, to: (8 - rank) * 8 + file, drop };
+    }
+    const fromFile = files.indexOf(uci[0]);
+    const fromRank = Number.parseInt(uci[1], 10);
+    const toFile = files.indexOf(uci[2]);
+    const toRank = Number.parseInt(uci[3], 10);
+    if (fromFile < 0 || toFile < 0 || Number.isNaN(fromRank) || Number.isNaN(toRank)) {
+      return null;
+    }
+    if (fromRank < 1 || fromRank > 8 || toRank < 1 || toRank > 8) {
+      return null;
+    }
+    const fromRow = 8 - fromRank;
+    const toRow = 8 - toRank;
+    const fromIndex = fromRow * 8 + fromFile;
+    const toIndex = toRow * 8 + toFile;
+    if (fromIndex < 0 || fromIndex >= 64 || toIndex < 0 || toIndex >= 64) {
+      return null;
+    }
+    let promotion = null;
+    if (uci.length >= 5) {
+      const promotionMap = {
+        q: PieceType.QUEEN,
+        r: PieceType.ROOK,
+        b: PieceType.BISHOP,
+        n: PieceType.KNIGHT,
+      };
+      promotion = promotionMap[uci[4].toLowerCase()] ?? null;
+    }
+    // Engines may send castles as king-onto-rook (UCI_Chess960) or as the king's two-square step.
+    const castle = this.findCastleForTarget(this.game.getLegalMoves(fromIndex), toIndex);
+    return { from: fromIndex, to: castle ? castle.to : toIndex, promotion };
+  }
+
+  findCastleForTarget(legalMoves, squareIndex) {
+    if (legalMoves.some((move) => move.to === squareIndex)) {
+      return null;
+    }
+    return (
+      legalMoves.find(
+        (move) =>
+          move.castle &&
+          (move.castle.rookFrom === squareIndex || move.castle.kingTo === squareIndex),
+      ) ?? null
+    );
+  }
+
+  // `step` plays a single move while spectating is paused.
+  async requestEngineMove({ step = false } = {}) {
+    if (!this.singlePlayer || !this.engine) {
+      return;
+    }
+    if (this.game.isOver() || !this.isEngineTurn()) {
+      return;
+    }
+    if (this.spectating && ((this.spectatorPaused && !step) || this.game.canRedo())) {
+      return;
+    }
+    this.engineStalled = false;
+    const color = this.game.currentPlayer;
+    const strength = this.spectating ? this.spectatorStrengths[color] : this.engineStrength;
+    this.engineRequestId += 1;
+    const requestId = this.engineRequestId;
+    if (this.engineReadyPromise) {
+      try {
+        await this.engineReadyPromise;
+      } catch (error) {
+        console.error('Engine initialization failed', error);
+        this.singlePlayer = false;
+        this.engineThinking = false;
+        this.onMessage?.('Engine unavailable. Two-player mode active.');
+        this.emitState();
+        return;
+      }
+    }
+
+    if (this.spectating) {
+      // Each side has its own level, so it is set before every move and restored after spectating.
+      await this.applyEngineStrength(strength);
+      this.engineStrengthDirty = true;
+    } else if (this.engineStrengthDirty) {
+      await this.applyEngineStrength();
+    }
+    if (requestId !== this.engineRequestId) {
+      return;
+    }
+    this.engineThinking = true;
     this.emitState();
 
     try {
       const fen = this.game.getFEN();
-      const move = await this.engine.getBestMove(fen);
+      // Once the clock has started the engine manages its own time instead of the chosen search
+      // limit, even while the clock is held for the previous move's animation.
+      const limits = this.clock && this.clock.active !== null && !this.clock.flagged
+        ? this.clock.getEngineLimits(color)
+        : getSearchOptions(strength);
+      const move = await this.engine.getBestMove(fen, limits);
+      if (requestId !== this.engineRequestId) {
+        return;
+      }
+      if (this.engine.lastScore) {
+        this.recordEvaluation(
+          this.game.moveHistory.length,
+          fen,
+          this.engine.lastScore,
+          color,
+          this.engine.lastDepth ?? 0,
+        );
+      }
+      const engineCentipawns = scoreToCentipawns(this.engine.lastScore);
+      if (this.engineDrawReplyPending && this.answerDrawOffer(engineCentipawns)) {
+        return;
+      }
+      if (!this.spectating && this.shouldEngineResign(engineCentipawns)) {
+        this.game.resign(this.engineColor);
+        this.finishGame(`Stockfish resigns. ${capitalize(this.humanColor)} wins.`);
+        return;
+      }
       if (!move) {
         throw new Error('Engine returned no move');
       }
@@ -1466,20 +3314,260 @@ export class App {
       if (!parsed) {
         throw new Error(`Invalid move string: ${move}`);
       }
-      const result = this.game.move(parsed.from, parsed.to, parsed.promotion ?? null);
+      const result = parsed.drop
+        ? this.game.drop(parsed.drop, parsed.to)
+        : this.game.move(parsed.from, parsed.to, parsed.promotion ?? null);
       if (!result.success) {
         throw new Error(result.message ?? 'Engine move rejected');
       }
+      this.engineMoveRetries = 0;
       this.processMoveResult(result, parsed);
     } catch (error) {
+      if (requestId !== this.engineRequestId) {
+        return;
+      }
       console.error('Stockfish move error', error);
       this.engineThinking = false;
+      this.handleEngineMoveFailure(error, { step });
+    }
+  }
+
+  // A crash the engine recovered from is retried a few times, then left for retryEngine(). Only an
+  // engine that gave up restarting hands the game to two players; the next new game tries it again.
+  handleEngineMoveFailure(error, { step = false } = {}) {
+    if (error.recoverable && this.engineMoveRetries < ENGINE_MOVE_RETRIES) {
+      this.engineMoveRetries += 1;
+      this.emitState();
+      this.onMessage?.('Engine restarted after an error. Retrying…');
+      this.requestEngineMove({ step });
+      return;
+    }
+    this.engineMoveRetries = 0;
+    if (error instanceof EngineFailure && !error.recoverable) {
+      this.singlePlayer = false;
       this.emitState();
-      this.onMessage?.('Engine error: unable to make a move.');
+      this.onMessage?.('Engine unavailable. Two-player mode until the next game.');
+      return;
+    }
+    this.engineStalled = true;
+    this.emitState();
+    this.onMessage?.('Engine error: unable to make a move. Retry the engine to try again.');
+  }
+
+  retryEngine() {
+    if (!this.engineStalled || this.engineThinking) {
+      return;
+    }
+    this.engineStalled = false;
+    this.engineMoveRetries = 0;
+    this.requestEngineMove({ step: this.spectating && this.spectatorPaused });
+  }
+
+  setSpectating(enabled) {
+    if (enabled === this.spectating) {
+      return;
+    }
+    this.spectating = enabled;
+    this.spectatorPaused = false;
+    if (!enabled && this.spectatorFollow) {
+      this.spectatorFollow = false;
+      this.releaseCamera();
+    }
+  }
+
+  // Plays the next engine move once the last one has finished animating, or starts a new game a
+  // while after the last one ended.
+  scheduleSpectatorMove() {
+    clearTimeout(this.spectatorTimer);
+    this.spectatorTimer = null;
+    if (!this.spectating || this.spectatorPaused) {
+      return;
+    }
+    this.queueAfterAnimations(() => {
+      if (!this.spectating || this.spectatorPaused || this.spectatorTimer) {
+        return;
+      }
+      const delay = this.game.isOver() ? SPECTATOR_RESTART_DELAY_MS : SPECTATOR_MOVE_DELAY_MS;
+      this.spectatorTimer = setTimeout(() => {
+        this.spectatorTimer = null;
+        if (!this.game.isOver()) {
+          if (!this.engineThinking) {
+            this.requestEngineMove();
+          }
+        } else if (this.game.canRedo() || this.review) {
+          // Someone is looking back over the finished game; wait for them.
+          this.scheduleSpectatorMove();
+        } else {
+          this.reset();
+        }
+      }, delay / this.spectatorSpeed);
+    });
+  }
+
+  setSpectatorPaused(paused) {
+    if (!this.spectating) {
+      return;
+    }
+    this.spectatorPaused = Boolean(paused);
+    if (this.spectatorPaused) {
+      clearTimeout(this.spectatorTimer);
+      this.spectatorTimer = null;
+      // The move being searched is dropped and searched again on resume.
+      this.cancelEngineSearch();
+      this.clock?.pause();
+    } else {
+      this.clock?.resume();
+      this.scheduleSpectatorMove();
+    }
+    this.emitState();
+  }
+
+  stepSpectator() {
+    if (!this.spectating || !this.spectatorPaused || this.engineThinking || this.animationInProgress) {
+      return;
+    }
+    this.clock?.resume();
+    this.requestEngineMove({ step: true }).then(() => {
+      if (this.spectatorPaused) {
+        this.queueAfterAnimations(() => this.clock?.pause());
+      }
+    });
+  }
+
+  setSpectatorSpeed(speed) {
+    if (!SPECTATOR_SPEEDS.includes(speed)) {
+      this.onMessage?.(`Unknown speed: ${speed}`);
+      return false;
+    }
+    this.spectatorSpeed = speed;
+    this.scheduleSpectatorMove();
+    this.emitState();
+    return true;
+  }
+
+  // While following, the camera leaves its anchors and eases after each moved piece.
+  setSpectatorFollow(enabled) {
+    this.spectatorFollow = Boolean(enabled);
+    if (!this.spectatorFollow) {
+      this.releaseCamera();
+    }
+    this.autoAnchorEnabled = !this.spectatorFollow;
+    this.emitState();
+  }
+
+  releaseCamera() {
+    if (!this.camera) {
+      return;
+    }
+    this.camera.focusOn(this.camera.defaultTarget, { radius: this.camera.defaultRadius });
+    this.orientCamera();
+  }
+
+  followMove(square) {
+    if (!this.spectatorFollow || !this.camera || square === undefined || square === null) {
+      return;
+    }
+    const { x, z } = toWorldPosition(Math.floor(square / 8), square % 8);
+    const [baseX, baseY, baseZ] = this.camera.defaultTarget;
+    const orbit = this.game.currentPlayer === PieceColor.WHITE ? SPECTATOR_ORBIT_STEP : -SPECTATOR_ORBIT_STEP;
+    this.camera.focusOn(
+      [baseX + (x - baseX) * SPECTATOR_FOCUS_PULL, baseY, baseZ + (z - baseZ) * SPECTATOR_FOCUS_PULL],
+      { radius: SPECTATOR_FOLLOW_RADIUS, theta: this.camera.targetTheta + orbit },
+    );
+  }
+
+  setSpectatorStrength(color, settings) {
+    if (![PieceColor.WHITE, PieceColor.BLACK].includes(color)) {
+      return null;
+    }
+    this.spectatorStrengths[color] = normalizeEngineStrength({ ...this.spectatorStrengths[color], ...settings });
+    this.emitState();
+    return this.spectatorStrengths[color];
+  }
+
+  getSpectatorState() {
+    const describe = (color) => ({
+      ...this.spectatorStrengths[color],
+      label: describeEngineStrength(this.spectatorStrengths[color]),
+    });
+    return {
+      paused: this.spectatorPaused,
+      speed: this.spectatorSpeed,
+      speeds: SPECTATOR_SPEEDS,
+      follow: this.spectatorFollow,
+      canStep: this.spectatorPaused && !this.engineThinking && !this.game.isOver() && !this.game.canRedo(),
+      strengths: {
+        [PieceColor.WHITE]: describe(PieceColor.WHITE),
+        [PieceColor.BLACK]: describe(PieceColor.BLACK),
+      },
+    };
+  }
+
+  // Resolves the pointer to a board square or a tray piece. Piece meshes are tested first, so the
+  // head of a tall piece picks that piece rather than the square behind it; misses fall back to the
+  // y = 0 plane. A lifted piece is ignored so drops land on what lies beneath it.
+  pickBoardTarget(clientX, clientY) {
+    const ray = this.computePointerRay(clientX, clientY);
+    const ignoreId = this.pieceDrag?.lifted ? this.pieceDrag.id : null;
+    const hit = this.renderer ? this.renderer.pickPiece(ray.origin, ray.direction, { ignoreId }) : null;
+    if (hit) {
+      const boardState = this.currentPieceStateMap.get(hit.pieceId);
+      if (boardState) {
+        return { square: boardState.index, trayState: null };
+      }
+      const trayState = this.capturedPieceMap.get(hit.pieceId);
+      if (trayState) {
+        return { square: null, trayState };
+      }
     }
+    const trayState = this.game.variant.drops ? this.pickTrayPieceOnPlane(clientX, clientY) : null;
+    if (trayState) {
+      return { square: null, trayState };
+    }
+    return { square: this.pickSquareOnPlane(clientX, clientY), trayState: null };
   }
 
   pickSquare(clientX, clientY) {
+    return this.pickBoardTarget(clientX, clientY).square;
+  }
+
+  pickTrayPieceOnPlane(clientX, clientY) {
+    const point = this.pickBoardPlane(clientX, clientY);
+    if (!point) {
+      return null;
+    }
+    let closest = null;
+    let closestDistance = TRAY_PICK_RADIUS;
+    for (const state of this.getCapturedRenderableStates()) {
+      const distance = Math.hypot(state.position[0] - point.x, state.position[2] - point.z);
+      if (distance <= closestDistance) {
+        closest = state;
+        closestDistance = distance;
+      }
+    }
+    return closest;
+  }
+
+  pickSquareOnPlane(clientX, clientY) {
+    const point = this.pickBoardPlane(clientX, clientY);
+    if (!point) {
+      return null;
+    }
+    const { x: hitX, z: hitZ } = point;
+    if (hitX < -4 || hitX >= 4 || hitZ < -4 || hitZ >= 4) {
+      return null;
+    }
+
+    const col = Math.floor(hitX + 4);
+    const row = Math.floor(4 - hitZ);
+    if (row < 0 || row > 7 || col < 0 || col > 7) {
+      return null;
+    }
+    return row * 8 + col;
+  }
+
+  // World-space ray through the pointer, built from the same camera matrices the scene renders with.
+  computePointerRay(clientX, clientY) {
     const rect = this.canvas.getBoundingClientRect();
     const ndcX = ((clientX - rect.left) / rect.width) * 2 - 1;
     const ndcY = 1 - ((clientY - rect.top) / rect.height) * 2;
@@ -1491,12 +3579,19 @@ export class App {
     const nearPoint = nearPoint4.map((v, i, arr) => v / arr[3]);
     const farPoint = farPoint4.map((v, i, arr) => v / arr[3]);
 
-    const rayOrigin = nearPoint;
-    const rayDir = normalize([
-      farPoint[0] - nearPoint[0],
-      farPoint[1] - nearPoint[1],
-      farPoint[2] - nearPoint[2],
-    ]);
+    return {
+      origin: nearPoint.slice(0, 3),
+      direction: normalize([
+        farPoint[0] - nearPoint[0],
+        farPoint[1] - nearPoint[1],
+        farPoint[2] - nearPoint[2],
+      ]),
+    };
+  }
+
+  // Intersects the pointer ray with the y = 0 plane the board and trays rest on.
+  pickBoardPlane(clientX, clientY) {
+    const { origin: rayOrigin, direction: rayDir } = this.computePointerRay(clientX, clientY);
 
     if (Math.abs(rayDir[1]) < 1e-5) {
       return null;
@@ -1507,18 +3602,9 @@ export class App {
       return null;
     }
 
-    const hitX = rayOrigin[0] + rayDir[0] * t;
-    const hitZ = rayOrigin[2] + rayDir[2] * t;
-
-    if (hitX < -4 || hitX >= 4 || hitZ < -4 || hitZ >= 4) {
-      return null;
-    }
-
-    const col = Math.floor(hitX + 4);
-    const row = Math.floor(4 - hitZ);
-    if (row < 0 || row > 7 || col < 0 || col > 7) {
-      return null;
-    }
-    return row * 8 + col;
+    return {
+      x: rayOrigin[0] + rayDir[0] * t,
+      z: rayOrigin[2] + rayDir[2] * t,
+    };
   }
 }
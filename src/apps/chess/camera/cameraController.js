@@ -24,6 +24,7 @@ export class CameraController {
 
     this.radius = radius;
     this.targetRadius = radius;
+    this.defaultRadius = radius;
     this.minRadius = 6;
     this.maxRadius = 24;
 
@@ -31,6 +32,7 @@ export class CameraController {
     this.phi = Math.PI * 0.35;
     this.targetTheta = this.theta;
     this.targetPhi = this.phi;
+    this.defaultTheta = this.theta;
     this.defaultPhi = this.phi;
     this.minPhi = 0.05;
     this.maxPhi = Math.PI * 0.48;
@@ -211,6 +213,24 @@ export class CameraController {
     }
   }
 
+  // Eases the view onto `point`, optionally closer in or further round, as when following a piece.
+  focusOn(point, { radius = this.targetRadius, theta = this.targetTheta, immediate = false } = {}) {
+    this.targetGoal.set(point);
+    this.targetRadius = clamp(radius, this.minRadius, this.maxRadius);
+    this.targetTheta = normalizeAngle(theta);
+    if (immediate) {
+      this.applyImmediate();
+    }
+  }
+
+  // Turns the view to the opposite side of the board at the same elevation.
+  flip({ immediate = false } = {}) {
+    this.targetTheta = normalizeAngle(this.targetTheta + Math.PI);
+    if (immediate) {
+      this.applyImmediate();
+    }
+  }
+
   snapToNearestAnchor({ immediate = false } = {}) {
     const index = this.getNearestAnchorIndex(this.targetTheta, this.targetPhi);
     this.setAnchor(index, { immediate });
@@ -0,0 +1,80 @@
+const CHESS960_POSITIONS = 960;
+
+// Scharnagl numbering: index 518 is the standard starting array.
+const STANDARD_CHESS960_INDEX = 518;
+
+const KNIGHT_PLACEMENTS = [
+  [0, 1],
+  [0, 2],
+  [0, 3],
+  [0, 4],
+  [1, 2],
+  [1, 3],
+  [1, 4],
+  [2, 3],
+  [2, 4],
+  [3, 4],
+];
+
+function normalizeIndex(index) {
+  if (!Number.isInteger(index) || index < 0 || index >= CHESS960_POSITIONS) {
+    throw new Error(`Chess960 index must be an integer from 0 to 959, got ${index}`);
+  }
+  return index;
+}
+
+function chess960BackRank(index) {
+  let n = normalizeIndex(index);
+  const rank = new Array(8).fill(null);
+  const placeOnEmpty = (piece, emptyIndex) => {
+    let seen = 0;
+    for (let col = 0; col < 8; col += 1) {
+      if (rank[col]) continue;
+      if (seen === emptyIndex) {
+        rank[col] = piece;
+        return;
+      }
+      seen += 1;
+    }
+  };
+
+  rank[(n % 4) * 2 + 1] = 'b';
+  n = Math.floor(n / 4);
+  rank[(n % 4) * 2] = 'b';
+  n = Math.floor(n / 4);
+  placeOnEmpty('q', n % 6);
+  n = Math.floor(n / 6);
+  const [firstKnight, secondKnight] = KNIGHT_PLACEMENTS[n];
+  // Place the later knight first so the earlier empty-square index is not shifted.
+  placeOnEmpty('n', secondKnight);
+  placeOnEmpty('n', firstKnight);
+  placeOnEmpty('r', 0);
+  placeOnEmpty('k', 0);
+  placeOnEmpty('r', 0);
+  return rank.join('');
+}
+
+function chess960StartingFEN(index) {
+  const backRank = chess960BackRank(index);
+  return `${backRank}/pppppppp/8/8/8/8/PPPPPPPP/${backRank.toUpperCase()} w KQkq - 0 1`;
+}
+
+function chess960IndexFromSeed(seed) {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0;
+  }
+  return hash % CHESS960_POSITIONS;
+}
+
+function randomChess960Index() {
+  return Math.floor(Math.random() * CHESS960_POSITIONS);
+}
+
+export {
+  STANDARD_CHESS960_INDEX,
+  chess960BackRank,
+  chess960StartingFEN,
+  chess960IndexFromSeed,
+  randomChess960Index,
+};
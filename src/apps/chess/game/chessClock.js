@@ -0,0 +1,246 @@
+import { PieceColor } from './chessGame.js';
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+
+// One period of a time control: `moves` is how many moves must be played within it (null for the
+// rest of the game), `time` is added when the period starts, and each move earns either a Fischer
+// `increment` or, with a Bronstein `delay`, back the time it used up to that amount.
+function createPeriod({ moves = null, time, increment = 0, delay = 0 }) {
+  return {
+    moves,
+    time,
+    increment,
+    delay,
+  };
+}
+
+// Parses specs written as periods separated by commas, each `[moves/]minutes[+seconds|dseconds]`:
+// "5" is sudden death, "3+2" a Fischer increment, "15d10" a Bronstein delay and
+// "40/90+30, 30+30" a classical control. A final period with a move count repeats.
+function parseTimeControl(spec) {
+  const source = String(spec ?? '').trim();
+  if (!source) {
+    throw new Error('Invalid time control: expected a non-empty string');
+  }
+  const periods = source.split(',').map((part) => {
+    const match = /^(?:(\d+)\s*\/\s*)?(\d+(?:\.\d+)?)\s*(?:([+d])\s*(\d+(?:\.\d+)?))?$/i.exec(part.trim());
+    if (!match) {
+      throw new Error(`Invalid time control: ${source}`);
+    }
+    const [, moves, minutes, bonusKind, bonusSeconds] = match;
+    const bonus = bonusSeconds ? Number.parseFloat(bonusSeconds) * MS_PER_SECOND : 0;
+    const time = Number.parseFloat(minutes) * MS_PER_MINUTE;
+    if (time <= 0 || (moves !== undefined && Number.parseInt(moves, 10) <= 0)) {
+      throw new Error(`Invalid time control: ${source}`);
+    }
+    return createPeriod({
+      moves: moves ? Number.parseInt(moves, 10) : null,
+      time,
+      increment: bonusKind === '+' ? bonus : 0,
+      delay: bonusKind && bonusKind !== '+' ? bonus : 0,
+    });
+  });
+  if (periods.slice(0, -1).some((period) => period.moves === null)) {
+    throw new Error(`Invalid time control: only the last period may be open-ended in ${source}`);
+  }
+  return { spec: source, periods };
+}
+
+function formatTimeControl({ periods }) {
+  return periods
+    .map((period) => {
+      const minutes = period.time / MS_PER_MINUTE;
+      const base = period.moves ? `${period.moves}/${minutes}` : `${minutes}`;
+      if (period.increment) {
+        return `${base}+${period.increment / MS_PER_SECOND}`;
+      }
+      if (period.delay) {
+        return `${base}d${period.delay / MS_PER_SECOND}`;
+      }
+      return base;
+    })
+    .join(', ');
+}
+
+// PGN TimeControl tag: periods in seconds joined by colons. PGN has no notation for a delay, so
+// Bronstein periods are written as plain sudden death.
+function formatPgnTimeControl({ periods }) {
+  return periods
+    .map((period) => {
+      const seconds = period.time / MS_PER_SECOND;
+      const base = period.moves ? `${period.moves}/${seconds}` : `${seconds}`;
+      return period.increment ? `${base}+${period.increment / MS_PER_SECOND}` : base;
+    })
+    .join(':');
+}
+
+function defaultNow() {
+  return performance.now();
+}
+
+function oppositeColor(color) {
+  return color === PieceColor.WHITE ? PieceColor.BLACK : PieceColor.WHITE;
+}
+
+class ChessClock {
+  constructor(timeControl, { now = defaultNow } = {}) {
+    this.timeControl = timeControl;
+    this.now = now;
+    this.reset();
+  }
+
+  reset() {
+    const [firstPeriod] = this.timeControl.periods;
+    this.remaining = {
+      [PieceColor.WHITE]: firstPeriod.time,
+      [PieceColor.BLACK]: firstPeriod.time,
+    };
+    this.periodIndex = { [PieceColor.WHITE]: 0, [PieceColor.BLACK]: 0 };
+    this.movesInPeriod = { [PieceColor.WHITE]: 0, [PieceColor.BLACK]: 0 };
+    this.active = null;
+    this.paused = false;
+    this.flagged = null;
+    this.turnStartedAt = 0;
+    this.turnSpent = 0;
+  }
+
+  isRunning() {
+    return this.active !== null && !this.paused;
+  }
+
+  getRemaining(color) {
+    const elapsed = color === this.active && this.isRunning() ? this.now() - this.turnStartedAt : 0;
+    return this.remaining[color] - elapsed;
+  }
+
+  // Moves still to be played in the current period, or null when the period is open-ended.
+  getMovesToGo(color) {
+    const period = this.timeControl.periods[this.periodIndex[color]];
+    return period.moves ? period.moves - this.movesInPeriod[color] : null;
+  }
+
+  getFlagged() {
+    if (!this.flagged && this.active && this.getRemaining(this.active) <= 0) {
+      this.commit();
+      this.flagged = this.active;
+      this.active = null;
+    }
+    return this.flagged;
+  }
+
+  // Folds the running turn into the remaining time so later reads start from a fresh timestamp.
+  commit() {
+    if (!this.isRunning()) {
+      return;
+    }
+    const now = this.now();
+    const elapsed = now - this.turnStartedAt;
+    this.remaining[this.active] -= elapsed;
+    this.turnSpent += elapsed;
+    this.turnStartedAt = now;
+  }
+
+  start(color) {
+    this.active = color;
+    this.paused = false;
+    this.turnSpent = 0;
+    this.turnStartedAt = this.now();
+  }
+
+  // Called once `color` has completed a move. The first press only starts the opponent's clock,
+  // so nobody loses time before the game gets going.
+  press(color) {
+    if (this.flagged) {
+      return this.flagged;
+    }
+    if (this.active === color) {
+      this.commit();
+      if (this.remaining[color] <= 0) {
+        this.flagged = color;
+        this.active = null;
+        return color;
+      }
+      this.applyBonus(color);
+    }
+    this.start(oppositeColor(color));
+    return null;
+  }
+
+  applyBonus(color) {
+    const { periods } = this.timeControl;
+    const period = periods[this.periodIndex[color]];
+    this.remaining[color] += period.delay ? Math.min(this.turnSpent, period.delay) : period.increment;
+    this.movesInPeriod[color] += 1;
+    if (period.moves && this.movesInPeriod[color] >= period.moves) {
+      const nextIndex = Math.min(this.periodIndex[color] + 1, periods.length - 1);
+      this.periodIndex[color] = nextIndex;
+      this.movesInPeriod[color] = 0;
+      this.remaining[color] += periods[nextIndex].time;
+    }
+  }
+
+  // Hands the move to `color` without any bonus, as after a takeback.
+  switchTo(color) {
+    if (this.flagged) {
+      return;
+    }
+    this.commit();
+    this.start(color);
+  }
+
+  pause() {
+    if (!this.isRunning()) {
+      return;
+    }
+    this.commit();
+    this.paused = true;
+  }
+
+  resume() {
+    if (this.active === null || !this.paused) {
+      return;
+    }
+    this.paused = false;
+    this.turnStartedAt = this.now();
+  }
+
+  stop() {
+    this.commit();
+    this.active = null;
+    this.paused = false;
+  }
+
+  // UCI `go` parameters in milliseconds. A delay is passed as an increment, which UCI engines
+  // treat close enough to budget their time.
+  getEngineLimits(color) {
+    const bonus = (side) => {
+      const period = this.timeControl.periods[this.periodIndex[side]];
+      return period.increment || period.delay;
+    };
+    const limits = {
+      wtime: Math.max(0, Math.round(this.getRemaining(PieceColor.WHITE))),
+      btime: Math.max(0, Math.round(this.getRemaining(PieceColor.BLACK))),
+      winc: bonus(PieceColor.WHITE),
+      binc: bonus(PieceColor.BLACK),
+    };
+    const movesToGo = this.getMovesToGo(color);
+    if (movesToGo !== null) {
+      limits.movestogo = movesToGo;
+    }
+    return limits;
+  }
+
+  getState() {
+    return {
+      white: Math.max(0, this.getRemaining(PieceColor.WHITE)),
+      black: Math.max(0, this.getRemaining(PieceColor.BLACK)),
+      active: this.active,
+      paused: this.paused,
+      flagged: this.flagged,
+      timeControl: formatTimeControl(this.timeControl),
+    };
+  }
+}
+
+export { ChessClock, parseTimeControl, formatTimeControl, formatPgnTimeControl };
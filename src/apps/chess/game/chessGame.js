@@ -1,3 +1,6 @@
+import { ZobristHash, castlingMask } from './zobrist.js';
+import { chess960StartingFEN, chess960IndexFromSeed, randomChess960Index } from './chess960.js';
+
 const PieceType = {
   PAWN: 'pawn',
   KNIGHT: 'knight',
@@ -12,16 +15,27 @@ const PieceColor = {
   BLACK: 'black',
 };
 
-const STARTING_BOARD = [
-  'rnbqkbnr',
-  'pppppppp',
-  '........',
-  '........',
-  '........',
-  '........',
-  'PPPPPPPP',
-  'RNBQKBNR',
-];
+const GameEndReason = {
+  CHECKMATE: 'checkmate',
+  STALEMATE: 'stalemate',
+  THREEFOLD_REPETITION: 'threefold-repetition',
+  FIVEFOLD_REPETITION: 'fivefold-repetition',
+  FIFTY_MOVE_RULE: 'fifty-move-rule',
+  SEVENTY_FIVE_MOVE_RULE: 'seventy-five-move-rule',
+  INSUFFICIENT_MATERIAL: 'insufficient-material',
+  KING_OF_THE_HILL: 'king-of-the-hill',
+  THREE_CHECK: 'three-check',
+  ALL_PIECES_LOST: 'all-pieces-lost',
+  NO_MOVES_LEFT: 'no-moves-left',
+  TIMEOUT: 'timeout',
+  TIMEOUT_VS_INSUFFICIENT_MATERIAL: 'timeout-vs-insufficient-material',
+  RESIGNATION: 'resignation',
+  DRAW_AGREEMENT: 'draw-agreement',
+  RECORDED_RESULT: 'recorded-result',
+};
+
+const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
 
 const CHAR_TO_TYPE = {
   p: PieceType.PAWN,
@@ -57,8 +71,111 @@ const PROMOTION_OPTIONS = [
   PieceType.KNIGHT,
 ];
 
+// Standard chess rules. Variants (see variants.js) spread these and override flags or add hooks:
+// filterMoves, advanceState/createState, getOutcome, isInsufficientMaterial, hasMatingMaterial,
+// positionKeySuffix, formatFenField and describeStatus. createState receives the FEN's check-count
+// field, if any, and formatFenField writes it back. Hooks a variant leaves out fall back to the standard behaviour.
+const STANDARD_RULES = {
+  id: 'standard',
+  name: 'Standard',
+  startingFEN: STARTING_FEN,
+  uciVariant: null,
+  royalKing: true,
+  castling: true,
+  drops: false,
+  promotionOptions: PROMOTION_OPTIONS,
+};
+
 const FILES = 'abcdefgh';
 
+const POCKET_ORDER = [
+  PieceType.PAWN,
+  PieceType.KNIGHT,
+  PieceType.BISHOP,
+  PieceType.ROOK,
+  PieceType.QUEEN,
+];
+
+const ZOBRIST_PIECE_ORDER = [
+  PieceType.PAWN,
+  PieceType.KNIGHT,
+  PieceType.BISHOP,
+  PieceType.ROOK,
+  PieceType.QUEEN,
+  PieceType.KING,
+];
+
+// Ray directions: the first four are orthogonal, the last four diagonal.
+const DIRECTIONS = [
+  [-1, 0],
+  [1, 0],
+  [0, -1],
+  [0, 1],
+  [-1, -1],
+  [-1, 1],
+  [1, -1],
+  [1, 1],
+];
+
+const ORTHOGONAL_DIRECTIONS = [0, 1, 2, 3];
+const DIAGONAL_DIRECTIONS = [4, 5, 6, 7];
+const ALL_DIRECTIONS = [0, 1, 2, 3, 4, 5, 6, 7];
+
+const KNIGHT_OFFSETS = [
+  [-2, -1],
+  [-2, 1],
+  [-1, -2],
+  [-1, 2],
+  [1, -2],
+  [1, 2],
+  [2, -1],
+  [2, 1],
+];
+
+function buildStepTargets(offsets) {
+  const targets = [];
+  for (let index = 0; index < 64; index += 1) {
+    const row = Math.floor(index / 8);
+    const col = index % 8;
+    const squares = [];
+    for (const [dr, dc] of offsets) {
+      const nr = row + dr;
+      const nc = col + dc;
+      if (nr >= 0 && nr < 8 && nc >= 0 && nc < 8) {
+        squares.push(nr * 8 + nc);
+      }
+    }
+    targets.push(squares);
+  }
+  return targets;
+}
+
+function buildRays() {
+  const rays = [];
+  for (let index = 0; index < 64; index += 1) {
+    const row = Math.floor(index / 8);
+    const col = index % 8;
+    rays.push(
+      DIRECTIONS.map(([dr, dc]) => {
+        const squares = [];
+        let nr = row + dr;
+        let nc = col + dc;
+        while (nr >= 0 && nr < 8 && nc >= 0 && nc < 8) {
+          squares.push(nr * 8 + nc);
+          nr += dr;
+          nc += dc;
+        }
+        return squares;
+      }),
+    );
+  }
+  return rays;
+}
+
+const KNIGHT_TARGETS = buildStepTargets(KNIGHT_OFFSETS);
+const KING_TARGETS = buildStepTargets(DIRECTIONS);
+const RAYS = buildRays();
+
 function indexToCoord(index) {
   return { row: Math.floor(index / 8), col: index % 8 };
 }
@@ -76,8 +193,12 @@ function squareName(index) {
   return `${FILES[col]}${8 - row}`;
 }
 
-function capitalize(value) {
-  return value.charAt(0).toUpperCase() + value.slice(1);
+function moveToUci(move) {
+  return move.drop
+    ? `${PIECE_TO_LETTER[move.drop]}@${squareName(move.to)}`
+    : `${squareName(move.from)}${squareName(move.to)}${
+      move.promotion ? TYPE_TO_CHAR[move.promotion] : ''
+    }`;
 }
 
 function pieceToFenChar(piece) {
@@ -85,8 +206,260 @@ function pieceToFenChar(piece) {
   return piece.color === PieceColor.WHITE ? base.toUpperCase() : base;
 }
 
+function zobristPieceKind(color, type) {
+  const offset = color === PieceColor.WHITE ? 0 : ZOBRIST_PIECE_ORDER.length;
+  return offset + ZOBRIST_PIECE_ORDER.indexOf(type);
+}
+
+function describePiece(piece) {
+  return { id: piece.id, type: piece.type, color: piece.color };
+}
+
+function oppositeColor(color) {
+  return color === PieceColor.WHITE ? PieceColor.BLACK : PieceColor.WHITE;
+}
+
+function parseSquareName(name) {
+  if (typeof name !== 'string' || !/^[a-h][1-8]$/.test(name)) {
+    return null;
+  }
+  return coordToIndex(8 - Number.parseInt(name[1], 10), FILES.indexOf(name[0]));
+}
+
+function formatSan({ pieceType, fromIndex, toIndex, captured, promotion, castle, drop, disambiguation }) {
+  if (castle) {
+    return castle === 'king' ? 'O-O' : 'O-O-O';
+  }
+  if (drop) {
+    return `${pieceType === PieceType.PAWN ? '' : PIECE_TO_LETTER[pieceType]}@${squareName(toIndex)}`;
+  }
+  const from = squareName(fromIndex);
+  const to = squareName(toIndex);
+  if (pieceType === PieceType.PAWN) {
+    const promotionSuffix = promotion ? `=${PIECE_TO_LETTER[promotion]}` : '';
+    return `${captured ? `${from[0]}x` : ''}${to}${promotionSuffix}`;
+  }
+  return `${PIECE_TO_LETTER[pieceType]}${disambiguation}${captured ? 'x' : ''}${to}`;
+}
+
+function normalizeSan(san) {
+  if (typeof san !== 'string') {
+    return '';
+  }
+  return san
+    .trim()
+    .replace(/\s*e\.p\.$/, '')
+    .replace(/[+#!?]+$/, '')
+    .replace(/^0-0-0$/, 'O-O-O')
+    .replace(/^0-0$/, 'O-O')
+    .replace(/^P@/, '@')
+    .replace(/^([a-h](?:x[a-h])?[18])([QRBNK])$/, '$1=$2');
+}
+
+function parseFEN(fen) {
+  if (typeof fen !== 'string' || !fen.trim()) {
+    throw new Error('Invalid FEN: expected a non-empty string');
+  }
+  const fields = fen.trim().split(/\s+/);
+  // Three-check counters come either as remaining checks after en passant ("3+3") or as checks
+  // given at the end ("+1+0"); the variant interprets them.
+  let checksField = null;
+  if (/^\d\+\d$/.test(fields[4] ?? '')) {
+    [checksField] = fields.splice(4, 1);
+  } else if (fields.length > 4 && /^\+\d\+\d$/.test(fields[fields.length - 1])) {
+    checksField = fields.pop();
+  }
+  if (fields.length !== 4 && fields.length !== 6) {
+    throw new Error(`Invalid FEN: expected 4 or 6 fields, got ${fields.length}`);
+  }
+  const [placement, active, castling, enPassant, halfmove = '0', fullmove = '1'] = fields;
+
+  // Crazyhouse pockets follow the board as [QNPqp]; promoted pieces carry a trailing '~'.
+  const pocketMatch = /^(.*)\[(.*)\]$/.exec(placement);
+  if (pocketMatch && !/^[PNBRQpnbrq]*$/.test(pocketMatch[2])) {
+    throw new Error(`Invalid FEN: malformed pockets '[${pocketMatch[2]}]'`);
+  }
+  const ranks = (pocketMatch ? pocketMatch[1] : placement).split('/');
+  if (ranks.length !== 8) {
+    throw new Error(`Invalid FEN: expected 8 ranks, got ${ranks.length}`);
+  }
+  const board = new Array(64).fill(null);
+  ranks.forEach((rank, row) => {
+    let col = 0;
+    for (const char of rank) {
+      if (/[1-8]/.test(char)) {
+        col += Number.parseInt(char, 10);
+        continue;
+      }
+      if (char === '~') {
+        const promotedPiece = col > 0 ? board[coordToIndex(row, col - 1)] : null;
+        if (!promotedPiece) {
+          throw new Error(`Invalid FEN: '~' must follow a piece on rank ${8 - row}`);
+        }
+        promotedPiece.promoted = true;
+        continue;
+      }
+      const type = CHAR_TO_TYPE[char.toLowerCase()];
+      if (!type) {
+        throw new Error(`Invalid FEN: unknown piece '${char}' on rank ${8 - row}`);
+      }
+      if (col > 7) {
+        throw new Error(`Invalid FEN: rank ${8 - row} describes more than 8 squares`);
+      }
+      const color = char === char.toLowerCase() ? PieceColor.BLACK : PieceColor.WHITE;
+      board[coordToIndex(row, col)] = { type, color };
+      col += 1;
+    }
+    if (col !== 8) {
+      throw new Error(`Invalid FEN: rank ${8 - row} describes ${col} squares instead of 8`);
+    }
+  });
+
+  if (active !== 'w' && active !== 'b') {
+    throw new Error(`Invalid FEN: side to move must be 'w' or 'b', got '${active}'`);
+  }
+  if (castling !== '-' && !/^(?!.*(.).*\1)[KQkqA-Ha-h]+$/.test(castling)) {
+    throw new Error(`Invalid FEN: malformed castling rights '${castling}'`);
+  }
+  const enPassantIndex = enPassant === '-' ? null : parseSquareName(enPassant);
+  if (enPassant !== '-' && enPassantIndex === null) {
+    throw new Error(`Invalid FEN: malformed en-passant square '${enPassant}'`);
+  }
+  if (!/^\d+$/.test(halfmove)) {
+    throw new Error(`Invalid FEN: halfmove clock must be a non-negative integer, got '${halfmove}'`);
+  }
+  if (!/^\d+$/.test(fullmove) || Number.parseInt(fullmove, 10) < 1) {
+    throw new Error(`Invalid FEN: fullmove number must be a positive integer, got '${fullmove}'`);
+  }
+
+  const pockets = [...(pocketMatch ? pocketMatch[2] : '')].map((char) => ({
+    type: CHAR_TO_TYPE[char.toLowerCase()],
+    color: char === char.toLowerCase() ? PieceColor.BLACK : PieceColor.WHITE,
+  }));
+
+  return {
+    board,
+    pockets,
+    activeColor: active === 'w' ? PieceColor.WHITE : PieceColor.BLACK,
+    castling: castling === '-' ? [] : castling.split(''),
+    enPassantIndex,
+    halfmoveClock: Number.parseInt(halfmove, 10),
+    fullmoveNumber: Number.parseInt(fullmove, 10),
+    checksField,
+  };
+}
+
+// Resolves KQkq (X-FEN) and file-letter (Shredder-FEN) castling rights to king and rook squares.
+function resolveCastlingRights(board, castling, chess960) {
+  return castling.map((right) => {
+    const color = right === right.toUpperCase() ? PieceColor.WHITE : PieceColor.BLACK;
+    const row = color === PieceColor.WHITE ? 7 : 0;
+    const isOwn = (col, type) => {
+      const piece = board[coordToIndex(row, col)];
+      return Boolean(piece && piece.type === type && piece.color === color);
+    };
+
+    let kingCol = -1;
+    for (let col = 0; col < 8; col += 1) {
+      if (isOwn(col, PieceType.KING)) {
+        kingCol = col;
+      }
+    }
+    if (kingCol === -1) {
+      throw new Error(`Illegal FEN: castling right '${right}' needs a ${color} king on its back rank`);
+    }
+
+    let rookCol = -1;
+    const letter = right.toLowerCase();
+    if (letter === 'k') {
+      for (let col = 7; col > kingCol && rookCol === -1; col -= 1) {
+        rookCol = isOwn(col, PieceType.ROOK) ? col : -1;
+      }
+    } else if (letter === 'q') {
+      for (let col = 0; col < kingCol && rookCol === -1; col += 1) {
+        rookCol = isOwn(col, PieceType.ROOK) ? col : -1;
+      }
+    } else {
+      const col = FILES.indexOf(letter);
+      rookCol = col !== kingCol && isOwn(col, PieceType.ROOK) ? col : -1;
+    }
+
+    const side = letter === 'k' || (letter !== 'q' && rookCol > kingCol) ? 'king' : 'queen';
+    if (!chess960 && (kingCol !== 4 || rookCol !== (side === 'king' ? 7 : 0))) {
+      const rookSquare = squareName(coordToIndex(row, side === 'king' ? 7 : 0));
+      throw new Error(
+        `Illegal FEN: castling right '${right}' needs a ${color} king on ${squareName(coordToIndex(row, 4))} and rook on ${rookSquare}`,
+      );
+    }
+    if (rookCol === -1) {
+      throw new Error(`Illegal FEN: castling right '${right}' has no ${color} rook to castle with`);
+    }
+    return {
+      color,
+      side,
+      king: coordToIndex(row, kingCol),
+      rook: coordToIndex(row, rookCol),
+    };
+  });
+}
+
+function validatePosition(
+  { board, pockets, activeColor, enPassantIndex },
+  { royalKing = true, drops = false } = {},
+) {
+  if (pockets.length > 0 && !drops) {
+    throw new Error('Illegal FEN: pieces in hand are only allowed in drop variants');
+  }
+  for (const color of [PieceColor.WHITE, PieceColor.BLACK]) {
+    const pieces = board.filter((piece) => piece && piece.color === color);
+    const kings = pieces.filter((piece) => piece.type === PieceType.KING).length;
+    if (royalKing && kings !== 1) {
+      throw new Error(`Illegal FEN: ${color} must have exactly one king, found ${kings}`);
+    }
+    // Dropped pieces can take a side past its starting material.
+    if (drops) {
+      continue;
+    }
+    if (pieces.length > 16) {
+      throw new Error(`Illegal FEN: ${color} has ${pieces.length} pieces`);
+    }
+    if (pieces.filter((piece) => piece.type === PieceType.PAWN).length > 8) {
+      throw new Error(`Illegal FEN: ${color} has more than 8 pawns`);
+    }
+  }
+
+  for (let col = 0; col < 8; col += 1) {
+    for (const row of [0, 7]) {
+      const piece = board[coordToIndex(row, col)];
+      if (piece && piece.type === PieceType.PAWN) {
+        throw new Error(`Illegal FEN: pawn on ${squareName(coordToIndex(row, col))}`);
+      }
+    }
+  }
+
+  if (enPassantIndex !== null) {
+    const { row, col } = indexToCoord(enPassantIndex);
+    const expectedRow = activeColor === PieceColor.WHITE ? 2 : 5;
+    const direction = activeColor === PieceColor.WHITE ? 1 : -1;
+    const pawn = board[coordToIndex(row + direction, col)];
+    if (
+      row !== expectedRow ||
+      board[enPassantIndex] ||
+      board[coordToIndex(row - direction, col)] ||
+      !pawn ||
+      pawn.type !== PieceType.PAWN ||
+      pawn.color === activeColor
+    ) {
+      throw new Error(`Illegal FEN: en-passant square ${squareName(enPassantIndex)} does not follow a double pawn push`);
+    }
+  }
+}
+
 export class ChessGame {
-  constructor() {
+  constructor({ automaticThreefold = true, variant = STANDARD_RULES } = {}) {
+    this.automaticThreefold = automaticThreefold;
+    this.variant = variant;
+    this.variantState = null;
     this.board = new Array(64).fill(null);
     this.currentPlayer = PieceColor.WHITE;
     this.moveHistory = [];
@@ -96,35 +469,106 @@ export class ChessGame {
     this.enPassantTarget = null;
     this.halfmoveClock = 0;
     this.fullmoveNumber = 1;
+    this.initialFEN = STARTING_FEN;
+    this.chess960 = false;
+    this.endReason = null;
+    this.resultFinal = false;
+    this.finalResult = null;
+    this.drawOffer = null;
+    this.positionCounts = new Map();
+    this.hash = new ZobristHash();
+    this.pockets = { [PieceColor.WHITE]: [], [PieceColor.BLACK]: [] };
+    this.undoStack = [];
+    this.redoStack = [];
     this.reset();
   }
 
   reset() {
-    this.board.fill(null);
-    this.nextPieceId = 1;
-    this.halfmoveClock = 0;
-    this.fullmoveNumber = 1;
-    for (let row = 0; row < 8; row += 1) {
-      for (let col = 0; col < 8; col += 1) {
-        const char = STARTING_BOARD[row][col];
-        if (char === '.') continue;
-        const lower = char.toLowerCase();
-        const type = CHAR_TO_TYPE[lower];
-        const color = char === lower ? PieceColor.BLACK : PieceColor.WHITE;
-        this.board[coordToIndex(row, col)] = {
-          type,
-          color,
-          hasMoved: false,
-          id: this.nextPieceId,
-        };
-        this.nextPieceId += 1;
+    this.loadFEN(this.variant.startingFEN);
+  }
+
+  setVariant(variant = STANDARD_RULES) {
+    this.variant = variant;
+    this.reset();
+  }
+
+  startChess960({ index = null, seed = null } = {}) {
+    let startIndex = index;
+    if (startIndex === null) {
+      startIndex = seed === null ? randomChess960Index() : chess960IndexFromSeed(seed);
+    }
+    this.loadFEN(chess960StartingFEN(startIndex), { chess960: true });
+    return startIndex;
+  }
+
+  loadFEN(fen, { chess960 = false } = {}) {
+    const position = parseFEN(fen);
+    validatePosition(position, { royalKing: this.variant.royalKing, drops: this.variant.drops });
+    if (position.checksField && !this.variant.formatFenField) {
+      throw new Error(`Invalid FEN: ${this.variant.name} has no check counters`);
+    }
+    const variantState = this.variant.createState?.(position.checksField) ?? null;
+
+    const unmovedSquares = new Set();
+    const castling = this.variant.castling ? position.castling : [];
+    for (const right of resolveCastlingRights(position.board, castling, chess960)) {
+      unmovedSquares.add(right.king);
+      unmovedSquares.add(right.rook);
+    }
+
+    let nextPieceId = 1;
+    const board = position.board.map((piece, index) => {
+      if (!piece) {
+        return null;
       }
+      const castlingPiece = piece.type === PieceType.KING || piece.type === PieceType.ROOK;
+      const entry = {
+        type: piece.type,
+        color: piece.color,
+        hasMoved: castlingPiece && !unmovedSquares.has(index),
+        promoted: Boolean(piece.promoted),
+        id: nextPieceId,
+      };
+      nextPieceId += 1;
+      return entry;
+    });
+    const pockets = { [PieceColor.WHITE]: [], [PieceColor.BLACK]: [] };
+    for (const piece of position.pockets) {
+      pockets[piece.color].push({ ...piece, hasMoved: true, promoted: false, id: nextPieceId });
+      nextPieceId += 1;
     }
-    this.currentPlayer = PieceColor.WHITE;
+
+    const previousBoard = this.board;
+    this.board = board;
+    if (this.variant.royalKing && this.isKingInCheck(oppositeColor(position.activeColor))) {
+      this.board = previousBoard;
+      throw new Error(`Illegal FEN: ${oppositeColor(position.activeColor)} is in check but it is not their move`);
+    }
+
+    this.chess960 = chess960;
+    this.pockets = pockets;
+    this.nextPieceId = nextPieceId;
+    this.currentPlayer = position.activeColor;
+    this.enPassantTarget = position.enPassantIndex === null
+      ? null
+      : { index: position.enPassantIndex, captureColor: position.activeColor };
+    this.halfmoveClock = position.halfmoveClock;
+    this.fullmoveNumber = position.fullmoveNumber;
     this.moveHistory = [];
     this.lastMove = null;
     this.winner = null;
-    this.enPassantTarget = null;
+    this.endReason = null;
+    this.resultFinal = false;
+    this.finalResult = null;
+    this.drawOffer = null;
+    this.positionCounts = new Map();
+    this.undoStack = [];
+    this.redoStack = [];
+    this.variantState = variantState;
+    this.hash = this.computeHash();
+    this.recordPosition();
+    this.settleOutcome(oppositeColor(this.currentPlayer));
+    this.initialFEN = this.getFEN();
   }
 
   getPieceAt(index) {
@@ -146,16 +590,82 @@ export class ChessGame {
     return {
       currentPlayer: this.currentPlayer,
       history: [...this.moveHistory],
-      inCheck: this.isKingInCheck(this.currentPlayer) ? this.currentPlayer : null,
+      inCheck: this.variant.royalKing && this.isKingInCheck(this.currentPlayer)
+        ? this.currentPlayer
+        : null,
       winner: this.winner,
+      endReason: this.endReason,
+      claimableDraws: this.getClaimableDraws(),
+      drawOffer: this.drawOffer,
       lastMove: this.lastMove,
       halfmoveClock: this.halfmoveClock,
       fullmoveNumber: this.fullmoveNumber,
+      positionKey: this.getPositionKey(),
+      variant: this.variant.id,
+      pockets: this.variant.drops ? this.getPockets() : null,
+      variantStatus: this.variant.describeStatus?.(this) ?? null,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+    };
+  }
+
+  getPockets() {
+    return {
+      [PieceColor.WHITE]: this.pockets[PieceColor.WHITE].map(describePiece),
+      [PieceColor.BLACK]: this.pockets[PieceColor.BLACK].map(describePiece),
     };
   }
 
+  getLegalDrops(type) {
+    if (this.isOver()) return [];
+    const color = this.currentPlayer;
+    return this.generateDropMoves(color, this.computeCheckState(color)).filter(
+      (move) => move.drop === type,
+    );
+  }
+
+  // Results the players decide (resignation, agreement, claims, time) stay in force while the moves
+  // are stepped through, so no new move can be played from an earlier position.
+  isOver() {
+    return Boolean(this.winner) || this.resultFinal;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  getPlyCount() {
+    return this.moveHistory.length + this.redoStack.length;
+  }
+
+  // Every ply of the game, including those still ahead of the position shown while browsing.
+  getFullHistory() {
+    return [...this.undoStack, ...[...this.redoStack].reverse()].map((record) => record.historyEntry);
+  }
+
+  // Whether the game has a result, even while an earlier position is shown.
+  isFinished() {
+    if (this.finalResult || this.winner) {
+      return true;
+    }
+    const lastRecord = this.redoStack[0];
+    return Boolean(lastRecord?.outcome.winner);
+  }
+
+  // Steps through the played moves without discarding any, so later plies remain redoable.
+  goToPly(ply) {
+    const target = Math.max(0, Math.min(ply, this.getPlyCount()));
+    while (this.moveHistory.length > target && this.undo().success);
+    while (this.moveHistory.length < target && this.redo().success);
+    return this.moveHistory.length;
+  }
+
   getLegalMoves(index) {
-    if (this.winner) return [];
+    if (this.isOver()) return [];
     const piece = this.board[index];
     if (!piece || piece.color !== this.currentPlayer) {
       return [];
@@ -164,7 +674,7 @@ export class ChessGame {
   }
 
   move(fromIndex, toIndex, promotionType = null) {
-    if (this.winner) {
+    if (this.isOver()) {
       return { success: false, message: 'Game over' };
     }
     const piece = this.board[fromIndex];
@@ -194,56 +704,95 @@ export class ChessGame {
       return { success: false, message: 'Illegal move' };
     }
 
-    const originalType = piece.type;
-    const fromCoord = indexToCoord(fromIndex);
-    const toCoord = indexToCoord(toIndex);
+    return this.playMove(targetMove);
+  }
+
+  drop(type, toIndex) {
+    if (this.isOver()) {
+      return { success: false, message: 'Game over' };
+    }
+    const color = this.currentPlayer;
+    if (!this.pockets[color].some((piece) => piece.type === type)) {
+      return { success: false, message: 'No such piece in hand' };
+    }
+    const targetMove = this.generateDropMoves(color, this.computeCheckState(color)).find(
+      (move) => move.drop === type && move.to === toIndex,
+    );
+    if (!targetMove) {
+      return { success: false, message: 'Illegal drop' };
+    }
+    return this.playMove(targetMove);
+  }
+
+  // Plays a move already known to be legal and records it for undo, redo and the history.
+  playMove(targetMove) {
+    const { from: fromIndex, to: toIndex } = targetMove;
+    const color = this.currentPlayer;
+    const originalType = targetMove.drop ?? this.board[fromIndex].type;
+    const fenBefore = this.getFEN();
+    const castlingBefore = this.computeCastlingRights();
+    const moveNumber = this.fullmoveNumber;
+    const disambiguation = targetMove.drop
+      ? ''
+      : this.getSanDisambiguation(fromIndex, toIndex, this.board[fromIndex]);
+    const previous = {
+      currentPlayer: this.currentPlayer,
+      enPassantTarget: this.enPassantTarget,
+      halfmoveClock: this.halfmoveClock,
+      fullmoveNumber: this.fullmoveNumber,
+      lastMove: this.lastMove,
+      winner: this.winner,
+      endReason: this.endReason,
+      drawOffer: this.drawOffer,
+      hash: this.hash.clone(),
+      variantState: this.variantState,
+    };
 
-    const moveState = this.applyMove(fromIndex, targetMove);
+    const { moveState } = this.makeMove(targetMove);
+    // Moving instead of answering declines the opponent's offer; the offerer's own move keeps it open.
+    if (this.drawOffer && this.drawOffer !== color) {
+      this.drawOffer = null;
+    }
     const capturedPiece = moveState.captured ?? moveState.enPassantCaptured ?? null;
 
     const isPawnMove = originalType === PieceType.PAWN;
     const didCapture = Boolean(capturedPiece);
     this.halfmoveClock = isPawnMove || didCapture ? 0 : this.halfmoveClock + 1;
-    if (piece.color === PieceColor.BLACK) {
+    if (color === PieceColor.BLACK) {
       this.fullmoveNumber += 1;
     }
 
-    this.updateEnPassantState({
-      originalType,
-      from: fromCoord,
-      to: toCoord,
-      color: piece.color,
-      move: targetMove,
-    });
-
-    const opponent = piece.color === PieceColor.WHITE ? PieceColor.BLACK : PieceColor.WHITE;
-    const opponentInCheck = this.isKingInCheck(opponent);
-    const opponentHasMoves = this.hasAnyLegalMoves(opponent);
-
-    let checkmate = false;
-    let stalemate = false;
-    if (!opponentHasMoves) {
-      if (opponentInCheck) {
-        checkmate = true;
-        this.winner = piece.color;
-      } else {
-        stalemate = true;
-        this.winner = 'draw';
-      }
+    const opponent = this.currentPlayer;
+    this.updateHashForMove(moveState, castlingBefore);
+    const opponentInCheck = this.variant.royalKing && this.isKingInCheck(opponent);
+    if (this.variant.advanceState) {
+      this.variantState = this.variant.advanceState(this.variantState, {
+        color,
+        check: opponentInCheck,
+      });
     }
+    const positionKey = this.recordPosition();
+    this.settleOutcome(color);
+    const checkmate = this.endReason === GameEndReason.CHECKMATE;
+    const stalemate = this.endReason === GameEndReason.STALEMATE;
+    const draw = this.winner === 'draw';
 
     const historyEntry = this.createHistoryEntry({
       pieceType: originalType,
-      color: piece.color,
+      color,
       fromIndex,
       toIndex,
       captured: capturedPiece,
       promotion: targetMove.promotion,
       checkmate,
       check: opponentInCheck,
-      stalemate,
       castle: targetMove.castle ? targetMove.castle.side : null,
       enPassant: Boolean(targetMove.enPassant),
+      drop: Boolean(targetMove.drop),
+      disambiguation,
+      moveNumber,
+      fenBefore,
+      fenAfter: this.getFEN(),
     });
     this.moveHistory.push(historyEntry);
     this.lastMove = {
@@ -253,7 +802,24 @@ export class ChessGame {
         ? { from: targetMove.castle.rookFrom, to: targetMove.castle.rookTo }
         : null,
     };
-    this.currentPlayer = opponent;
+    this.undoStack.push({
+      move: {
+        from: fromIndex,
+        to: toIndex,
+        promotion: targetMove.promotion ?? null,
+        drop: targetMove.drop ?? null,
+      },
+      targetMove,
+      castle: targetMove.castle ?? null,
+      enPassant: Boolean(targetMove.enPassant),
+      movedColor: color,
+      moveState,
+      previous,
+      positionKey,
+      historyEntry,
+      outcome: { winner: this.winner, endReason: this.endReason },
+    });
+    this.redoStack = [];
 
     return {
       success: true,
@@ -261,35 +827,500 @@ export class ChessGame {
       check: opponentInCheck ? opponent : null,
       checkmate,
       stalemate,
+      draw,
+      endReason: this.endReason,
+      claimableDraws: this.getClaimableDraws(),
       historyEntry,
       winner: this.winner,
       castle: targetMove.castle ?? null,
       enPassant: Boolean(targetMove.enPassant),
-      movedColor: piece.color,
+      drop: targetMove.drop ? describePiece(moveState.piece) : null,
+      pocketed: moveState.pocketed ? describePiece(moveState.pocketed) : null,
+      movedColor: color,
+    };
+  }
+
+  undo() {
+    const record = this.undoStack.pop();
+    if (!record) {
+      return { success: false, message: 'Nothing to undo' };
+    }
+
+    this.undoMove(record.moveState);
+    const count = (this.positionCounts.get(record.positionKey) ?? 1) - 1;
+    if (count > 0) {
+      this.positionCounts.set(record.positionKey, count);
+    } else {
+      this.positionCounts.delete(record.positionKey);
+    }
+    Object.assign(this, record.previous);
+    this.moveHistory.pop();
+    this.redoStack.push(record);
+
+    const { moveState } = record;
+    return {
+      success: true,
+      from: record.move.from,
+      to: record.move.to,
+      promotion: record.move.promotion,
+      restored: moveState.captured ?? moveState.enPassantCaptured ?? null,
+      castle: record.castle,
+      enPassant: record.enPassant,
+      drop: record.move.drop ? describePiece(moveState.piece) : null,
+      movedColor: record.movedColor,
+      historyEntry: record.historyEntry,
+    };
+  }
+
+  redo() {
+    const record = this.redoStack.pop();
+    if (!record) {
+      return { success: false, message: 'Nothing to redo' };
+    }
+    // Undo restored the exact position the move was played from, so it is replayed as it was
+    // rather than revalidated through move(), which a decided result would refuse.
+    const pending = this.redoStack;
+    const result = this.playMove(record.targetMove);
+    this.redoStack = pending;
+    // The replayed move gets back the entry that was undone, with any annotations on it.
+    this.moveHistory[this.moveHistory.length - 1] = record.historyEntry;
+    this.undoStack[this.undoStack.length - 1].historyEntry = record.historyEntry;
+    result.historyEntry = record.historyEntry;
+    if (this.finalResult && this.moveHistory.length === this.finalResult.ply) {
+      this.winner = this.finalResult.winner;
+      this.endReason = this.finalResult.endReason;
+      result.winner = this.winner;
+      result.endReason = this.endReason;
+    }
+    return result;
+  }
+
+  getPositionKey() {
+    const suffix = this.variant.positionKeySuffix?.(this) ?? '';
+    return `${this.hash.toKey()}${suffix}`;
+  }
+
+  computeHash() {
+    const hash = new ZobristHash();
+    this.board.forEach((piece, index) => {
+      if (piece) {
+        hash.togglePiece(zobristPieceKind(piece.color, piece.type), index);
+      }
+    });
+    if (this.currentPlayer === PieceColor.BLACK) {
+      hash.toggleSide();
+    }
+    hash.setCastlingMask(this.computeCastlingMask());
+    hash.setEnPassantFile(this.hasEnPassantCapture() ? this.enPassantTarget.index % 8 : null);
+    return hash;
+  }
+
+  // Must run after the move has been applied and the side to move and en-passant target updated.
+  updateHashForMove(moveState, castlingBefore) {
+    const { hash } = this;
+    const { piece } = moveState;
+    if (!moveState.drop) {
+      hash.togglePiece(zobristPieceKind(piece.color, moveState.originalType), moveState.from);
+    }
+    hash.togglePiece(zobristPieceKind(piece.color, piece.type), moveState.to);
+    if (moveState.captured) {
+      const { captured } = moveState;
+      hash.togglePiece(zobristPieceKind(captured.color, captured.type), moveState.to);
+    }
+    if (moveState.enPassantCaptured) {
+      const captured = moveState.enPassantCaptured;
+      hash.togglePiece(
+        zobristPieceKind(captured.color, captured.type),
+        moveState.enPassantCaptureIndex,
+      );
+    }
+    if (moveState.rookMove?.piece) {
+      const { rookMove } = moveState;
+      const kind = zobristPieceKind(rookMove.piece.color, rookMove.piece.type);
+      hash.togglePiece(kind, rookMove.from);
+      hash.togglePiece(kind, rookMove.to);
+    }
+    if (this.computeCastlingRights() !== castlingBefore) {
+      hash.setCastlingMask(this.computeCastlingMask());
+    }
+    hash.setEnPassantFile(this.hasEnPassantCapture() ? this.enPassantTarget.index % 8 : null);
+    hash.toggleSide();
+  }
+
+  recordPosition() {
+    const key = this.getPositionKey();
+    this.positionCounts.set(key, (this.positionCounts.get(key) ?? 0) + 1);
+    return key;
+  }
+
+  hasEnPassantCapture() {
+    if (!this.enPassantTarget) {
+      return false;
+    }
+    const color = this.enPassantTarget.captureColor;
+    const { row, col } = indexToCoord(this.enPassantTarget.index);
+    const pawnRow = color === PieceColor.WHITE ? row + 1 : row - 1;
+    for (const offset of [-1, 1]) {
+      if (!isOnBoard(pawnRow, col + offset)) continue;
+      const index = coordToIndex(pawnRow, col + offset);
+      const piece = this.board[index];
+      if (!piece || piece.type !== PieceType.PAWN || piece.color !== color) continue;
+      const moves = this.generateLegalMoves(index, piece, color);
+      if (moves.some((move) => move.enPassant)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  getRepetitionCount() {
+    return this.positionCounts.get(this.getPositionKey()) ?? 0;
+  }
+
+  // Decides whether the game ends after `lastMover` has moved. Variant win conditions are checked
+  // before mate, stalemate and the automatic draws.
+  settleOutcome(lastMover) {
+    const outcome = this.variant.getOutcome?.(this, lastMover) ?? null;
+    if (outcome) {
+      this.winner = outcome.winner;
+      this.endReason = outcome.reason;
+      return;
+    }
+    if (!this.hasAnyLegalMoves(this.currentPlayer)) {
+      const mated = this.variant.royalKing && this.isKingInCheck(this.currentPlayer);
+      this.winner = mated ? lastMover : 'draw';
+      this.endReason = mated ? GameEndReason.CHECKMATE : GameEndReason.STALEMATE;
+      return;
+    }
+    const drawReason = this.detectAutomaticDraw();
+    if (drawReason) {
+      this.winner = 'draw';
+      this.endReason = drawReason;
+    }
+  }
+
+  detectAutomaticDraw() {
+    const insufficientMaterial = this.variant.isInsufficientMaterial
+      ? this.variant.isInsufficientMaterial(this)
+      : this.isInsufficientMaterial();
+    if (insufficientMaterial) {
+      return GameEndReason.INSUFFICIENT_MATERIAL;
+    }
+    if (this.halfmoveClock >= 150) {
+      return GameEndReason.SEVENTY_FIVE_MOVE_RULE;
+    }
+    const repetitions = this.getRepetitionCount();
+    if (this.automaticThreefold && repetitions >= 3) {
+      return GameEndReason.THREEFOLD_REPETITION;
+    }
+    if (repetitions >= 5) {
+      return GameEndReason.FIVEFOLD_REPETITION;
+    }
+    return null;
+  }
+
+  conclude(winner, reason) {
+    this.winner = winner;
+    this.endReason = reason;
+    this.resultFinal = true;
+    this.finalResult = { winner, endReason: reason, ply: this.moveHistory.length };
+    this.drawOffer = null;
+    return { success: true, winner, endReason: reason };
+  }
+
+  // Ends the game when `color` runs out of time. The opponent wins unless it has nothing left that
+  // could ever deliver mate, in which case the game is drawn.
+  flag(color) {
+    if (this.isOver()) {
+      return { success: false, message: 'Game over' };
+    }
+    const opponent = oppositeColor(color);
+    const canWin = this.variant.hasMatingMaterial
+      ? this.variant.hasMatingMaterial(this, opponent)
+      : this.hasMatingMaterial(opponent);
+    return canWin
+      ? this.conclude(opponent, GameEndReason.TIMEOUT)
+      : this.conclude('draw', GameEndReason.TIMEOUT_VS_INSUFFICIENT_MATERIAL);
+  }
+
+  resign(color) {
+    if (this.isOver()) {
+      return { success: false, message: 'Game over' };
+    }
+    return this.conclude(oppositeColor(color), GameEndReason.RESIGNATION);
+  }
+
+  // An offer stays open until the opponent accepts, declines or plays a move.
+  offerDraw(color) {
+    if (this.isOver()) {
+      return { success: false, message: 'Game over' };
+    }
+    if (this.drawOffer === oppositeColor(color)) {
+      return this.acceptDraw(color);
+    }
+    this.drawOffer = color;
+    return { success: true, offeredBy: color };
+  }
+
+  acceptDraw(color) {
+    if (this.isOver()) {
+      return { success: false, message: 'Game over' };
+    }
+    if (this.drawOffer !== oppositeColor(color)) {
+      return { success: false, message: 'No draw offer to accept' };
+    }
+    return this.conclude('draw', GameEndReason.DRAW_AGREEMENT);
+  }
+
+  // Ends the game with a result decided off the board, such as the Result of an imported PGN.
+  recordResult(winner) {
+    if (this.isOver()) {
+      return { success: false, message: 'Game over' };
+    }
+    return this.conclude(winner, GameEndReason.RECORDED_RESULT);
+  }
+
+  declineDraw(color) {
+    if (this.drawOffer !== oppositeColor(color)) {
+      return { success: false, message: 'No draw offer to decline' };
+    }
+    this.drawOffer = null;
+    return { success: true };
+  }
+
+  claimDraw(reason = null) {
+    const claims = this.getClaimableDraws();
+    const claimed = reason ?? claims[0];
+    if (!claimed || !claims.includes(claimed)) {
+      return { success: false, message: 'No draw can be claimed' };
+    }
+    return this.conclude('draw', claimed);
+  }
+
+  getClaimableDraws() {
+    if (this.isOver()) {
+      return [];
+    }
+    const claims = [];
+    if (!this.automaticThreefold && this.getRepetitionCount() >= 3) {
+      claims.push(GameEndReason.THREEFOLD_REPETITION);
+    }
+    if (this.halfmoveClock >= 100) {
+      claims.push(GameEndReason.FIFTY_MOVE_RULE);
+    }
+    return claims;
+  }
+
+  isInsufficientMaterial() {
+    const minors = [];
+    for (let index = 0; index < 64; index += 1) {
+      const piece = this.board[index];
+      if (!piece || piece.type === PieceType.KING) continue;
+      if (piece.type !== PieceType.BISHOP && piece.type !== PieceType.KNIGHT) {
+        return false;
+      }
+      minors.push({ type: piece.type, index });
+    }
+    if (minors.length <= 1) {
+      return true;
+    }
+    if (minors.some((minor) => minor.type === PieceType.KNIGHT)) {
+      return false;
+    }
+    const squareShade = ({ index }) => {
+      const { row, col } = indexToCoord(index);
+      return (row + col) % 2;
     };
+    return minors.every((minor) => squareShade(minor) === squareShade(minors[0]));
+  }
+
+  // Counts material on both sides, since the other side's own pieces can hem its king in. Mate is
+  // impossible only with a lone minor piece against a lone king, or when every piece left besides
+  // the kings is a bishop on one shade.
+  hasMatingMaterial(color) {
+    const own = [];
+    const others = [];
+    for (let index = 0; index < 64; index += 1) {
+      const piece = this.board[index];
+      if (!piece || piece.type === PieceType.KING) continue;
+      (piece.color === color ? own : others).push({ type: piece.type, index });
+    }
+    if (own.some(({ type }) => type !== PieceType.BISHOP && type !== PieceType.KNIGHT)) {
+      return true;
+    }
+    if (own.length === 0 || (own.length === 1 && others.length === 0)) {
+      return false;
+    }
+    const pieces = [...own, ...others];
+    if (pieces.some(({ type }) => type !== PieceType.BISHOP)) {
+      return true;
+    }
+    const squareShade = ({ index }) => {
+      const { row, col } = indexToCoord(index);
+      return (row + col) % 2;
+    };
+    const bishops = pieces.filter(({ type }) => type === PieceType.BISHOP);
+    return bishops.some((bishop) => squareShade(bishop) !== squareShade(bishops[0]));
   }
 
   hasAnyLegalMoves(color) {
+    const checkState = this.computeCheckState(color);
     for (let index = 0; index < 64; index += 1) {
       const piece = this.board[index];
       if (!piece || piece.color !== color) continue;
-      const moves = this.generateLegalMoves(index, piece, color);
-      if (moves.length > 0) {
+      const pseudoMoves = this.generatePseudoMoves(index, piece);
+      if (pseudoMoves.some((move) => this.isLegalMove(move, piece, color, checkState))) {
         return true;
       }
     }
-    return false;
+    return this.generateDropMoves(color, checkState).length > 0;
   }
 
-  generateLegalMoves(index, piece, color) {
-    const pseudoMoves = this.generatePseudoMoves(index, piece);
-    const legal = [];
-    for (const move of pseudoMoves) {
-      if (!this.moveLeavesKingInCheck(color, index, move)) {
-        legal.push(move);
+  generateLegalMoves(index, piece, color, checkState = this.computeCheckState(color)) {
+    const moves = this.generatePseudoMoves(index, piece).filter((move) =>
+      this.isLegalMove(move, piece, color, checkState),
+    );
+    return this.variant.filterMoves ? this.variant.filterMoves(this, moves, color) : moves;
+  }
+
+  generateAllLegalMoves(color) {
+    const checkState = this.computeCheckState(color);
+    const moves = [];
+    for (let index = 0; index < 64; index += 1) {
+      const piece = this.board[index];
+      if (!piece || piece.color !== color) continue;
+      for (const move of this.generatePseudoMoves(index, piece)) {
+        if (this.isLegalMove(move, piece, color, checkState)) {
+          moves.push(move);
+        }
+      }
+    }
+    moves.push(...this.generateDropMoves(color, checkState));
+    return this.variant.filterMoves ? this.variant.filterMoves(this, moves, color) : moves;
+  }
+
+  // Pieces in hand may go on any empty square, except pawns on the back ranks. In check a drop
+  // is only legal when it blocks a single sliding checker.
+  generateDropMoves(color, checkState) {
+    if (!this.variant.drops || this.pockets[color].length === 0 || checkState.checkers.length > 1) {
+      return [];
+    }
+    const types = POCKET_ORDER.filter((type) =>
+      this.pockets[color].some((piece) => piece.type === type),
+    );
+    const moves = [];
+    for (let index = 0; index < 64; index += 1) {
+      if (this.board[index]) continue;
+      if (checkState.checkers.length === 1 && !checkState.blockMask[index]) continue;
+      const { row } = indexToCoord(index);
+      for (const type of types) {
+        if (type === PieceType.PAWN && (row === 0 || row === 7)) continue;
+        moves.push({ from: null, to: index, drop: type });
       }
     }
-    return legal;
+    return moves;
+  }
+
+  findKing(color) {
+    for (let index = 0; index < 64; index += 1) {
+      const piece = this.board[index];
+      if (piece && piece.type === PieceType.KING && piece.color === color) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  // Collects the pieces giving check to `color` and the pieces pinned against its king.
+  // Each pin and the check block mask mark the squares a piece may still move to.
+  computeCheckState(color) {
+    const kingIndex = this.findKing(color);
+    const checkers = [];
+    const pins = new Map();
+    let blockMask = null;
+    if (kingIndex === -1) {
+      return { kingIndex, checkers, pins, blockMask };
+    }
+    const enemy = oppositeColor(color);
+
+    for (const direction of ALL_DIRECTIONS) {
+      const ray = RAYS[kingIndex][direction];
+      const sliderType = direction < 4 ? PieceType.ROOK : PieceType.BISHOP;
+      let pinned = -1;
+      for (let step = 0; step < ray.length; step += 1) {
+        const piece = this.board[ray[step]];
+        if (!piece) continue;
+        if (piece.color === color) {
+          if (pinned !== -1) break;
+          pinned = ray[step];
+          continue;
+        }
+        if (piece.type === sliderType || piece.type === PieceType.QUEEN) {
+          const mask = new Uint8Array(64);
+          for (let k = 0; k <= step; k += 1) {
+            mask[ray[k]] = 1;
+          }
+          if (pinned === -1) {
+            checkers.push(ray[step]);
+            blockMask = mask;
+          } else {
+            pins.set(pinned, mask);
+          }
+        }
+        break;
+      }
+    }
+
+    const { row, col } = indexToCoord(kingIndex);
+    const pawnRow = row + (enemy === PieceColor.WHITE ? 1 : -1);
+    const leaperSquares = [...KNIGHT_TARGETS[kingIndex]];
+    for (const offset of [-1, 1]) {
+      if (isOnBoard(pawnRow, col + offset)) {
+        leaperSquares.push(coordToIndex(pawnRow, col + offset));
+      }
+    }
+    leaperSquares.forEach((square, position) => {
+      const piece = this.board[square];
+      const expectedType = position < KNIGHT_TARGETS[kingIndex].length
+        ? PieceType.KNIGHT
+        : PieceType.PAWN;
+      if (piece && piece.color === enemy && piece.type === expectedType) {
+        checkers.push(square);
+        blockMask = new Uint8Array(64);
+        blockMask[square] = 1;
+      }
+    });
+
+    return { kingIndex, checkers, pins, blockMask };
+  }
+
+  isLegalMove(move, piece, color, checkState) {
+    if (!this.variant.royalKing) {
+      return true;
+    }
+    if (piece.type === PieceType.KING) {
+      if (move.castle) {
+        // Castling generation already rejects checks and attacked transit squares.
+        return true;
+      }
+      // Lift the king so sliders attacking through its current square are seen.
+      this.board[move.from] = null;
+      const attacked = this.isSquareAttacked(move.to, oppositeColor(color));
+      this.board[move.from] = piece;
+      return !attacked;
+    }
+    if (checkState.checkers.length > 1) {
+      return false;
+    }
+    if (move.enPassant) {
+      // Rare enough that a full make/unmake check is cheaper than modelling rank pins.
+      return !this.moveLeavesKingInCheck(color, move.from, move);
+    }
+    if (checkState.checkers.length === 1 && !checkState.blockMask[move.to]) {
+      return false;
+    }
+    const pin = checkState.pins.get(move.from);
+    return !pin || pin[move.to] === 1;
   }
 
   moveLeavesKingInCheck(color, fromIndex, move) {
@@ -299,16 +1330,77 @@ export class ChessGame {
     return inCheck;
   }
 
+  makeMove(move) {
+    const undo = {
+      moveState: null,
+      enPassantTarget: this.enPassantTarget,
+      currentPlayer: this.currentPlayer,
+    };
+    undo.moveState = this.applyMove(move.from, move);
+    const { color } = undo.moveState.piece;
+    if (move.drop) {
+      this.enPassantTarget = null;
+    } else {
+      this.updateEnPassantState({
+        originalType: undo.moveState.originalType,
+        from: indexToCoord(move.from),
+        to: indexToCoord(move.to),
+        color,
+        move,
+      });
+    }
+    this.currentPlayer = oppositeColor(color);
+    return undo;
+  }
+
+  unmakeMove(undo) {
+    this.undoMove(undo.moveState);
+    this.enPassantTarget = undo.enPassantTarget;
+    this.currentPlayer = undo.currentPlayer;
+  }
+
+  perft(depth) {
+    if (depth <= 0) {
+      return 1;
+    }
+    const moves = this.generateAllLegalMoves(this.currentPlayer);
+    if (depth === 1) {
+      return moves.length;
+    }
+    let nodes = 0;
+    for (const move of moves) {
+      const undo = this.makeMove(move);
+      nodes += this.perft(depth - 1);
+      this.unmakeMove(undo);
+    }
+    return nodes;
+  }
+
+  divide(depth) {
+    const counts = {};
+    for (const move of this.generateAllLegalMoves(this.currentPlayer)) {
+      const undo = this.makeMove(move);
+      counts[moveToUci(move)] = this.perft(depth - 1);
+      this.unmakeMove(undo);
+    }
+    return counts;
+  }
+
   applyMove(fromIndex, move) {
+    if (move.drop) {
+      return this.applyDrop(move);
+    }
     const piece = this.board[fromIndex];
     if (!piece) {
       throw new Error('No piece to move');
     }
 
+    // Chess960 castles are entered as king-takes-rook, so the king's real destination comes from the castle.
+    const destination = move.castle ? move.castle.kingTo : move.to;
     const moveState = {
       piece,
       from: fromIndex,
-      to: move.to,
+      to: destination,
       captured: null,
       enPassantCaptured: null,
       enPassantCaptureIndex: move.enPassant ? move.enPassantCapture : null,
@@ -341,25 +1433,77 @@ export class ChessGame {
         this.board[moveState.enPassantCaptureIndex] = null;
       }
     } else {
-      moveState.captured = this.board[move.to] ?? null;
+      moveState.captured = this.board[destination] ?? null;
     }
 
-    this.board[move.to] = piece;
+    this.board[destination] = piece;
     piece.hasMoved = true;
     if (move.promotion) {
       piece.type = move.promotion;
+      piece.promoted = true;
+    }
+
+    // Captured pieces change sides and go into the capturer's hand; promoted pieces revert to pawns.
+    const capturedPiece = moveState.captured ?? moveState.enPassantCaptured;
+    if (this.variant.drops && capturedPiece) {
+      moveState.pocketed = {
+        type: capturedPiece.promoted ? PieceType.PAWN : capturedPiece.type,
+        color: piece.color,
+        hasMoved: true,
+        promoted: false,
+        id: capturedPiece.id,
+      };
+      this.pockets[piece.color].push(moveState.pocketed);
     }
 
     return moveState;
   }
 
+  applyDrop(move) {
+    const color = this.currentPlayer;
+    const pocket = this.pockets[color];
+    const pocketIndex = pocket.findIndex((entry) => entry.type === move.drop);
+    if (pocketIndex === -1) {
+      throw new Error('No piece in hand to drop');
+    }
+    const [piece] = pocket.splice(pocketIndex, 1);
+    this.board[move.to] = piece;
+    return {
+      piece,
+      from: null,
+      to: move.to,
+      drop: true,
+      pocketIndex,
+      captured: null,
+      enPassantCaptured: null,
+      enPassantCaptureIndex: null,
+      promotion: null,
+      originalType: piece.type,
+      originalHasMoved: piece.hasMoved,
+      rookMove: null,
+    };
+  }
+
   undoMove(moveState) {
     const { piece } = moveState;
+    if (moveState.drop) {
+      this.board[moveState.to] = null;
+      this.pockets[piece.color].splice(moveState.pocketIndex, 0, piece);
+      return;
+    }
+    if (moveState.pocketed) {
+      this.pockets[moveState.pocketed.color].pop();
+    }
+    // Clear the rook's landing square first: in Chess960 it can be the king's origin square.
+    if (moveState.rookMove && moveState.rookMove.piece) {
+      this.board[moveState.rookMove.to] = null;
+    }
     this.board[moveState.to] = moveState.captured;
     this.board[moveState.from] = piece;
     piece.hasMoved = moveState.originalHasMoved;
     if (moveState.promotion) {
       piece.type = moveState.originalType;
+      piece.promoted = false;
     }
 
     if (moveState.enPassantCaptured && moveState.enPassantCaptureIndex !== null) {
@@ -367,7 +1511,6 @@ export class ChessGame {
     }
 
     if (moveState.rookMove && moveState.rookMove.piece) {
-      this.board[moveState.rookMove.to] = null;
       this.board[moveState.rookMove.from] = moveState.rookMove.piece;
       moveState.rookMove.piece.hasMoved = moveState.rookMove.originalHasMoved;
     }
@@ -401,7 +1544,7 @@ export class ChessGame {
           const forwardIndex = coordToIndex(forwardRow, col);
           if (!this.board[forwardIndex]) {
             if (forwardRow === 0 || forwardRow === 7) {
-              for (const promotion of PROMOTION_OPTIONS) {
+              for (const promotion of this.variant.promotionOptions) {
                 moves.push({ from: index, to: forwardIndex, promotion });
               }
             } else {
@@ -421,7 +1564,7 @@ export class ChessGame {
           const targetPiece = this.board[targetIndex];
           if (targetPiece && targetPiece.color !== piece.color) {
             if (targetRow === 0 || targetRow === 7) {
-              for (const promotion of PROMOTION_OPTIONS) {
+              for (const promotion of this.variant.promotionOptions) {
                 moves.push({ from: index, to: targetIndex, promotion });
               }
             } else {
@@ -457,71 +1600,23 @@ export class ChessGame {
         break;
       }
       case PieceType.KNIGHT: {
-        const offsets = [
-          [-2, -1],
-          [-2, 1],
-          [-1, -2],
-          [-1, 2],
-          [1, -2],
-          [1, 2],
-          [2, -1],
-          [2, 1],
-        ];
-        for (const [dr, dc] of offsets) {
-          const nr = row + dr;
-          const nc = col + dc;
-          if (!isOnBoard(nr, nc)) continue;
-          const target = this.board[coordToIndex(nr, nc)];
-          if (!target || target.color !== piece.color) {
-            moves.push({ from: index, to: coordToIndex(nr, nc) });
-          }
-        }
+        this.generateStepMoves(moves, index, piece, KNIGHT_TARGETS[index]);
         break;
       }
       case PieceType.BISHOP: {
-        this.generateSlidingMoves(moves, index, piece, row, col, [
-          [1, 1],
-          [1, -1],
-          [-1, 1],
-          [-1, -1],
-        ]);
+        this.generateSlidingMoves(moves, index, piece, DIAGONAL_DIRECTIONS);
         break;
       }
       case PieceType.ROOK: {
-        this.generateSlidingMoves(moves, index, piece, row, col, [
-          [1, 0],
-          [-1, 0],
-          [0, 1],
-          [0, -1],
-        ]);
+        this.generateSlidingMoves(moves, index, piece, ORTHOGONAL_DIRECTIONS);
         break;
       }
       case PieceType.QUEEN: {
-        this.generateSlidingMoves(moves, index, piece, row, col, [
-          [1, 0],
-          [-1, 0],
-          [0, 1],
-          [0, -1],
-          [1, 1],
-          [1, -1],
-          [-1, 1],
-          [-1, -1],
-        ]);
+        this.generateSlidingMoves(moves, index, piece, ALL_DIRECTIONS);
         break;
       }
       case PieceType.KING: {
-        for (let dr = -1; dr <= 1; dr += 1) {
-          for (let dc = -1; dc <= 1; dc += 1) {
-            if (dr === 0 && dc === 0) continue;
-            const nr = row + dr;
-            const nc = col + dc;
-            if (!isOnBoard(nr, nc)) continue;
-            const target = this.board[coordToIndex(nr, nc)];
-            if (!target || target.color !== piece.color) {
-              moves.push({ from: index, to: coordToIndex(nr, nc) });
-            }
-          }
-        }
+        this.generateStepMoves(moves, index, piece, KING_TARGETS[index]);
         this.generateCastlingMoves(moves, index, piece, row, col);
         break;
       }
@@ -532,12 +1627,18 @@ export class ChessGame {
     return moves;
   }
 
-  generateSlidingMoves(moves, index, piece, row, col, directions) {
-    for (const [dr, dc] of directions) {
-      let nr = row + dr;
-      let nc = col + dc;
-      while (isOnBoard(nr, nc)) {
-        const targetIndex = coordToIndex(nr, nc);
+  generateStepMoves(moves, index, piece, targets) {
+    for (const targetIndex of targets) {
+      const target = this.board[targetIndex];
+      if (!target || target.color !== piece.color) {
+        moves.push({ from: index, to: targetIndex });
+      }
+    }
+  }
+
+  generateSlidingMoves(moves, index, piece, directions) {
+    for (const direction of directions) {
+      for (const targetIndex of RAYS[index][direction]) {
         const targetPiece = this.board[targetIndex];
         if (!targetPiece) {
           moves.push({ from: index, to: targetIndex });
@@ -547,59 +1648,43 @@ export class ChessGame {
           }
           break;
         }
-        nr += dr;
-        nc += dc;
       }
     }
   }
 
+  // Covers both standard and Chess960 castling: the king always lands on the g/c file and the
+  // rook on the f/d file. In Chess960 mode castles are encoded as the king moving onto its rook.
   generateCastlingMoves(moves, index, piece, row, col) {
-    if (piece.hasMoved) {
+    const backRow = piece.color === PieceColor.WHITE ? 7 : 0;
+    if (!this.variant.castling || piece.hasMoved || row !== backRow) {
       return;
     }
-    const opponentColor = piece.color === PieceColor.WHITE ? PieceColor.BLACK : PieceColor.WHITE;
+    const opponentColor = oppositeColor(piece.color);
     if (this.isSquareAttacked(index, opponentColor)) {
       return;
     }
 
-    const options = [
-      {
-        side: 'king',
-        rookCol: 7,
-        path: [col + 1, col + 2],
-        kingPath: [col + 1, col + 2],
-        finalCol: col + 2,
-        rookTargetCol: col + 1,
-      },
-      {
-        side: 'queen',
-        rookCol: 0,
-        path: [col - 1, col - 2, col - 3],
-        kingPath: [col - 1, col - 2],
-        finalCol: col - 2,
-        rookTargetCol: col - 1,
-      },
-    ];
-
-    for (const option of options) {
-      if (option.finalCol < 0 || option.finalCol > 7) {
-        continue;
-      }
-
-      const rookIndex = coordToIndex(row, option.rookCol);
+    for (let rookCol = 0; rookCol < 8; rookCol += 1) {
+      const rookIndex = coordToIndex(row, rookCol);
       const rook = this.board[rookIndex];
-      if (!rook || rook.type !== PieceType.ROOK || rook.color !== piece.color || rook.hasMoved) {
+      if (
+        rookCol === col ||
+        !rook ||
+        rook.type !== PieceType.ROOK ||
+        rook.color !== piece.color ||
+        rook.hasMoved
+      ) {
         continue;
       }
 
+      const side = rookCol > col ? 'king' : 'queen';
+      const kingTargetCol = side === 'king' ? 6 : 2;
+      const rookTargetCol = side === 'king' ? 5 : 3;
+      const minCol = Math.min(col, rookCol, kingTargetCol, rookTargetCol);
+      const maxCol = Math.max(col, rookCol, kingTargetCol, rookTargetCol);
       let pathClear = true;
-      for (const pathCol of option.path) {
-        if (!isOnBoard(row, pathCol)) {
-          pathClear = false;
-          break;
-        }
-        const pathIndex = coordToIndex(row, pathCol);
-        if (this.board[pathIndex]) {
+      for (let pathCol = minCol; pathCol <= maxCol; pathCol += 1) {
+        if (pathCol !== col && pathCol !== rookCol && this.board[coordToIndex(row, pathCol)]) {
           pathClear = false;
           break;
         }
@@ -608,29 +1693,33 @@ export class ChessGame {
         continue;
       }
 
+      // Lift both pieces so neither can shield a square the king passes through.
+      this.board[index] = null;
+      this.board[rookIndex] = null;
       let safe = true;
-      for (const kingCol of option.kingPath) {
-        if (!isOnBoard(row, kingCol)) {
-          safe = false;
-          break;
-        }
-        const kingIndex = coordToIndex(row, kingCol);
-        if (this.isSquareAttacked(kingIndex, opponentColor)) {
+      const step = kingTargetCol > col ? 1 : -1;
+      for (let kingCol = col; kingCol !== kingTargetCol; ) {
+        kingCol += step;
+        if (this.isSquareAttacked(coordToIndex(row, kingCol), opponentColor)) {
           safe = false;
           break;
         }
       }
+      this.board[index] = piece;
+      this.board[rookIndex] = rook;
       if (!safe) {
         continue;
       }
 
+      const kingTo = coordToIndex(row, kingTargetCol);
       moves.push({
         from: index,
-        to: coordToIndex(row, option.finalCol),
+        to: this.chess960 ? rookIndex : kingTo,
         castle: {
-          side: option.side,
+          side,
           rookFrom: rookIndex,
-          rookTo: coordToIndex(row, option.rookTargetCol),
+          rookTo: coordToIndex(row, rookTargetCol),
+          kingTo,
         },
       });
     }
@@ -662,83 +1751,35 @@ export class ChessGame {
     }
 
     // Knight attacks
-    const knightOffsets = [
-      [-2, -1],
-      [-2, 1],
-      [-1, -2],
-      [-1, 2],
-      [1, -2],
-      [1, 2],
-      [2, -1],
-      [2, 1],
-    ];
-    for (const [dr, dc] of knightOffsets) {
-      const nr = row + dr;
-      const nc = col + dc;
-      if (!isOnBoard(nr, nc)) continue;
-      const piece = this.board[coordToIndex(nr, nc)];
+    for (const square of KNIGHT_TARGETS[index]) {
+      const piece = this.board[square];
       if (piece && piece.color === attackerColor && piece.type === PieceType.KNIGHT) {
         return true;
       }
     }
 
-    // Bishop / Queen (diagonals)
-    const diagonalDirs = [
-      [1, 1],
-      [1, -1],
-      [-1, 1],
-      [-1, -1],
-    ];
-    for (const [dr, dc] of diagonalDirs) {
-      let nr = row + dr;
-      let nc = col + dc;
-      while (isOnBoard(nr, nc)) {
-        const piece = this.board[coordToIndex(nr, nc)];
+    // Sliding attacks: rooks and queens on orthogonals, bishops and queens on diagonals
+    for (const direction of ALL_DIRECTIONS) {
+      const sliderType = direction < 4 ? PieceType.ROOK : PieceType.BISHOP;
+      for (const square of RAYS[index][direction]) {
+        const piece = this.board[square];
         if (piece) {
-          if (piece.color === attackerColor && (piece.type === PieceType.BISHOP || piece.type === PieceType.QUEEN)) {
-            return true;
-          }
-          break;
-        }
-        nr += dr;
-        nc += dc;
-      }
-    }
-
-    // Rook / Queen (orthogonal)
-    const orthDirs = [
-      [1, 0],
-      [-1, 0],
-      [0, 1],
-      [0, -1],
-    ];
-    for (const [dr, dc] of orthDirs) {
-      let nr = row + dr;
-      let nc = col + dc;
-      while (isOnBoard(nr, nc)) {
-        const piece = this.board[coordToIndex(nr, nc)];
-        if (piece) {
-          if (piece.color === attackerColor && (piece.type === PieceType.ROOK || piece.type === PieceType.QUEEN)) {
+          if (
+            piece.color === attackerColor &&
+            (piece.type === sliderType || piece.type === PieceType.QUEEN)
+          ) {
             return true;
           }
           break;
         }
-        nr += dr;
-        nc += dc;
       }
     }
 
     // King adjacency
-    for (let dr = -1; dr <= 1; dr += 1) {
-      for (let dc = -1; dc <= 1; dc += 1) {
-        if (dr === 0 && dc === 0) continue;
-        const nr = row + dr;
-        const nc = col + dc;
-        if (!isOnBoard(nr, nc)) continue;
-        const piece = this.board[coordToIndex(nr, nc)];
-        if (piece && piece.color === attackerColor && piece.type === PieceType.KING) {
-          return true;
-        }
+    for (const square of KING_TARGETS[index]) {
+      const piece = this.board[square];
+      if (piece && piece.color === attackerColor && piece.type === PieceType.KING) {
+        return true;
       }
     }
 
@@ -760,6 +1801,9 @@ export class ChessGame {
             emptyCount = 0;
           }
           notation += pieceToFenChar(piece);
+          if (this.variant.drops && piece.promoted) {
+            notation += '~';
+          }
         }
       }
       if (emptyCount > 0) {
@@ -768,41 +1812,224 @@ export class ChessGame {
       rows.push(notation);
     }
 
-    const boardPart = rows.join('/');
+    const pockets = this.variant.drops ? `[${this.formatPockets()}]` : '';
+    const boardPart = `${rows.join('/')}${pockets}`;
     const activeColor = this.currentPlayer === PieceColor.WHITE ? 'w' : 'b';
     const castling = this.computeCastlingRights();
     const enPassantSquare = this.enPassantTarget ? squareName(this.enPassantTarget.index) : '-';
-    return `${boardPart} ${activeColor} ${castling} ${enPassantSquare} ${this.halfmoveClock} ${this.fullmoveNumber}`;
+    const fields = [boardPart, activeColor, castling, enPassantSquare];
+    if (this.variant.formatFenField) {
+      fields.push(this.variant.formatFenField(this));
+    }
+    fields.push(this.halfmoveClock, this.fullmoveNumber);
+    return fields.join(' ');
   }
 
-  computeCastlingRights() {
-    const rights = [];
+  formatPockets() {
+    return [PieceColor.WHITE, PieceColor.BLACK]
+      .map((color) =>
+        POCKET_ORDER.map((type) =>
+          this.pockets[color]
+            .filter((piece) => piece.type === type)
+            .map(pieceToFenChar)
+            .join(''),
+        ).join(''),
+      )
+      .join('');
+  }
 
-    const whiteKing = this.board[coordToIndex(7, 4)];
-    if (whiteKing && whiteKing.color === PieceColor.WHITE && !whiteKing.hasMoved) {
-      const whiteKingRook = this.board[coordToIndex(7, 7)];
-      if (whiteKingRook && whiteKingRook.color === PieceColor.WHITE && !whiteKingRook.hasMoved) {
-        rights.push('K');
+  getCastlingRights() {
+    const rights = [];
+    for (const color of [PieceColor.WHITE, PieceColor.BLACK]) {
+      const row = color === PieceColor.WHITE ? 7 : 0;
+      const isUnmoved = (col, type) => {
+        const piece = this.board[coordToIndex(row, col)];
+        return Boolean(piece && piece.type === type && piece.color === color && !piece.hasMoved);
+      };
+      let kingCol = -1;
+      for (let col = 0; col < 8; col += 1) {
+        if (isUnmoved(col, PieceType.KING)) {
+          kingCol = col;
+        }
+      }
+      if (kingCol === -1) {
+        continue;
       }
-      const whiteQueenRook = this.board[coordToIndex(7, 0)];
-      if (whiteQueenRook && whiteQueenRook.color === PieceColor.WHITE && !whiteQueenRook.hasMoved) {
-        rights.push('Q');
+      const king = coordToIndex(row, kingCol);
+      for (let col = 7; col > kingCol; col -= 1) {
+        if (isUnmoved(col, PieceType.ROOK)) {
+          rights.push({ color, side: 'king', king, rook: coordToIndex(row, col) });
+        }
+      }
+      for (let col = 0; col < kingCol; col += 1) {
+        if (isUnmoved(col, PieceType.ROOK)) {
+          rights.push({ color, side: 'queen', king, rook: coordToIndex(row, col) });
+        }
       }
     }
+    return rights;
+  }
 
-    const blackKing = this.board[coordToIndex(0, 4)];
-    if (blackKing && blackKing.color === PieceColor.BLACK && !blackKing.hasMoved) {
-      const blackKingRook = this.board[coordToIndex(0, 7)];
-      if (blackKingRook && blackKingRook.color === PieceColor.BLACK && !blackKingRook.hasMoved) {
-        rights.push('k');
+  // Standard games use KQkq. Chess960 games use X-FEN: KQkq for the outermost rook on a side,
+  // otherwise the rook's file letter.
+  computeCastlingRights() {
+    const letters = this.getCastlingRights().map(({ color, side, rook }) => {
+      let letter = side === 'king' ? 'k' : 'q';
+      if (this.chess960) {
+        const { row, col } = indexToCoord(rook);
+        const outerCols = side === 'king'
+          ? [...Array(7 - col).keys()].map((offset) => col + 1 + offset)
+          : [...Array(col).keys()];
+        const shadowed = outerCols.some((outerCol) => {
+          const piece = this.board[coordToIndex(row, outerCol)];
+          return piece && piece.type === PieceType.ROOK && piece.color === color;
+        });
+        if (shadowed) {
+          letter = FILES[col];
+        }
       }
-      const blackQueenRook = this.board[coordToIndex(0, 0)];
-      if (blackQueenRook && blackQueenRook.color === PieceColor.BLACK && !blackQueenRook.hasMoved) {
-        rights.push('q');
+      return color === PieceColor.WHITE ? letter.toUpperCase() : letter;
+    });
+    return letters.length > 0 ? letters.join('') : '-';
+  }
+
+  computeCastlingMask() {
+    return castlingMask(
+      this.getCastlingRights().map(({ color, side }) => {
+        const letter = side === 'king' ? 'k' : 'q';
+        return color === PieceColor.WHITE ? letter.toUpperCase() : letter;
+      }),
+    );
+  }
+
+  getLegalMoveList() {
+    if (this.isOver()) return [];
+    const list = [];
+    for (let index = 0; index < 64; index += 1) {
+      const piece = this.board[index];
+      if (!piece || piece.color !== this.currentPlayer) continue;
+      for (const move of this.generateLegalMoves(index, piece, piece.color)) {
+        list.push({
+          from: index,
+          to: move.to,
+          piece: piece.type,
+          promotion: move.promotion ?? null,
+          drop: null,
+          uci: moveToUci({ ...move, from: index }),
+          san: formatSan({
+            pieceType: piece.type,
+            fromIndex: index,
+            toIndex: move.to,
+            captured: Boolean(move.enPassant || this.board[move.to]),
+            promotion: move.promotion,
+            castle: move.castle ? move.castle.side : null,
+            disambiguation: this.getSanDisambiguation(index, move.to, piece),
+          }),
+        });
       }
     }
+    const color = this.currentPlayer;
+    for (const move of this.generateDropMoves(color, this.computeCheckState(color))) {
+      list.push({
+        from: null,
+        to: move.to,
+        piece: move.drop,
+        promotion: null,
+        drop: move.drop,
+        uci: moveToUci(move),
+        san: formatSan({ pieceType: move.drop, toIndex: move.to, drop: true }),
+      });
+    }
+    return list;
+  }
+
+  // SAN for a line of UCI moves played from the current position, such as an engine's principal
+  // variation. The game itself is untouched; the line stops at the first move that is not legal.
+  formatLine(uciMoves) {
+    const line = new ChessGame({ automaticThreefold: this.automaticThreefold, variant: this.variant });
+    line.loadFEN(this.getFEN(), { chess960: this.chess960 });
+    const sans = [];
+    for (const uci of uciMoves) {
+      const move = line.getLegalMoveList().find((entry) => entry.uci === uci);
+      if (!move) {
+        break;
+      }
+      const result = move.drop ? line.drop(move.drop, move.to) : line.move(move.from, move.to, move.promotion);
+      sans.push(result.historyEntry.san);
+    }
+    return sans;
+  }
 
-    return rights.length > 0 ? rights.join('') : '-';
+  findMoveBySAN(san) {
+    const normalized = normalizeSan(san);
+    if (!normalized) {
+      return null;
+    }
+    const moves = this.getLegalMoveList();
+    const exact = moves.find((move) => move.san === normalized);
+    if (exact) {
+      return exact;
+    }
+
+    // Fall back to a looser reading so over-disambiguated input such as "Ngf3" still resolves.
+    const match = /^([KQRBN])?([a-h])?([1-8])?x?([a-h][1-8])(?:=([QRBNK]))?$/.exec(normalized);
+    if (!match) {
+      return null;
+    }
+    const [, letter, fromFile, fromRank, target, promotionLetter] = match;
+    const pieceType = letter ? CHAR_TO_TYPE[letter.toLowerCase()] : PieceType.PAWN;
+    const promotion = promotionLetter ? CHAR_TO_TYPE[promotionLetter.toLowerCase()] : null;
+    const candidates = moves.filter((move) => {
+      if (move.drop) {
+        return false;
+      }
+      const from = squareName(move.from);
+      return (
+        move.piece === pieceType &&
+        squareName(move.to) === target &&
+        move.promotion === promotion &&
+        (!fromFile || from[0] === fromFile) &&
+        (!fromRank || from[1] === fromRank)
+      );
+    });
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  getSanDisambiguation(fromIndex, toIndex, piece) {
+    if (piece.type === PieceType.PAWN) {
+      return '';
+    }
+    // Rival kings only exist in variants where promotion to king is allowed.
+    const rivals = [];
+    for (let index = 0; index < 64; index += 1) {
+      const other = this.board[index];
+      if (
+        index === fromIndex ||
+        !other ||
+        other.color !== piece.color ||
+        other.type !== piece.type
+      ) {
+        continue;
+      }
+      const reaches = this.generateLegalMoves(index, other, other.color).some(
+        (move) => move.to === toIndex,
+      );
+      if (reaches) {
+        rivals.push(indexToCoord(index));
+      }
+    }
+    if (rivals.length === 0) {
+      return '';
+    }
+    const from = indexToCoord(fromIndex);
+    const square = squareName(fromIndex);
+    if (!rivals.some((coord) => coord.col === from.col)) {
+      return square[0];
+    }
+    if (!rivals.some((coord) => coord.row === from.row)) {
+      return square[1];
+    }
+    return square;
   }
 
   createHistoryEntry({
@@ -814,39 +2041,55 @@ export class ChessGame {
     promotion,
     check,
     checkmate,
-    stalemate,
     castle,
     enPassant,
+    drop,
+    disambiguation,
+    moveNumber,
+    fenBefore,
+    fenAfter,
   }) {
-    const player = capitalize(color);
-    if (castle) {
-      const notation = castle === 'king' ? 'O-O' : 'O-O-O';
-      let suffix = '';
-      if (checkmate) {
-        suffix = ' #';
-      } else if (check) {
-        suffix = ' +';
-      } else if (stalemate) {
-        suffix = ' =';
-      }
-      return `${player}: ${notation}${suffix}`;
-    }
-    const pieceLetter = PIECE_TO_LETTER[pieceType];
-    const from = squareName(fromIndex);
+    const from = drop ? null : squareName(fromIndex);
     const to = squareName(toIndex);
-    const action = captured ? 'x' : '→';
-    const promotionSuffix = promotion ? `=${PIECE_TO_LETTER[promotion]}` : '';
-    const enPassantSuffix = enPassant ? ' (e.p.)' : '';
+    const san = formatSan({
+      pieceType,
+      fromIndex,
+      toIndex,
+      captured: Boolean(captured),
+      promotion,
+      castle,
+      drop,
+      disambiguation,
+    });
     let suffix = '';
     if (checkmate) {
-      suffix = ' #';
+      suffix = '#';
     } else if (check) {
-      suffix = ' +';
-    } else if (stalemate) {
-      suffix = ' =';
+      suffix = '+';
     }
-    return `${player}: ${pieceLetter}${from} ${action} ${to}${promotionSuffix}${enPassantSuffix}${suffix}`;
+
+    return {
+      ply: this.moveHistory.length + 1,
+      moveNumber,
+      color,
+      piece: pieceType,
+      from,
+      to,
+      captured: captured ? captured.type : null,
+      promotion: promotion ?? null,
+      castle: castle ?? null,
+      enPassant: Boolean(enPassant),
+      drop: Boolean(drop),
+      check: Boolean(check),
+      checkmate: Boolean(checkmate),
+      san: `${san}${suffix}`,
+      uci: drop
+        ? `${PIECE_TO_LETTER[pieceType]}@${to}`
+        : `${from}${to}${promotion ? TYPE_TO_CHAR[promotion] : ''}`,
+      fenBefore,
+      fenAfter,
+    };
   }
 }
 
-export { PieceType, PieceColor };
+export { PieceType, PieceColor, GameEndReason, STARTING_FEN, STANDARD_RULES };
@@ -0,0 +1,89 @@
+// Stockfish's UCI_Elo option only accepts ratings in this range.
+const ENGINE_ELO_RANGE = { min: 1320, max: 3190 };
+const ENGINE_SKILL_RANGE = { min: 0, max: 20 };
+
+const SearchLimitType = {
+  MOVETIME: 'movetime',
+  DEPTH: 'depth',
+  NODES: 'nodes',
+};
+
+const SEARCH_LIMIT_RANGES = {
+  [SearchLimitType.MOVETIME]: { min: 50, max: 30000, initial: 1000 },
+  [SearchLimitType.DEPTH]: { min: 1, max: 30, initial: 12 },
+  [SearchLimitType.NODES]: { min: 100, max: 50000000, initial: 200000 },
+};
+
+// `mode` picks what weakens the engine: 'skill' uses Skill Level, 'elo' Stockfish's own limiter.
+// The search limit applies to untimed games; with a clock running the engine budgets its time.
+const DEFAULT_ENGINE_STRENGTH = {
+  mode: 'skill',
+  skill: 8,
+  elo: 1600,
+  limit: { type: SearchLimitType.MOVETIME, value: SEARCH_LIMIT_RANGES[SearchLimitType.MOVETIME].initial },
+};
+
+function clampInteger(value, { min, max }, fallback) {
+  const number = value === null || value === '' ? Number.NaN : Math.round(Number(value));
+  if (!Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, number));
+}
+
+// Fills in and clamps a partial or stored settings object so the engine never sees a bad value.
+function normalizeEngineStrength(settings = {}) {
+  const base = DEFAULT_ENGINE_STRENGTH;
+  const mode = settings.mode === 'elo' ? 'elo' : 'skill';
+  const limitType = Object.values(SearchLimitType).includes(settings.limit?.type)
+    ? settings.limit.type
+    : base.limit.type;
+  const limitRange = SEARCH_LIMIT_RANGES[limitType];
+  return {
+    mode,
+    skill: clampInteger(settings.skill, ENGINE_SKILL_RANGE, base.skill),
+    elo: clampInteger(settings.elo, ENGINE_ELO_RANGE, base.elo),
+    limit: {
+      type: limitType,
+      value: clampInteger(settings.limit?.value, limitRange, limitRange.initial),
+    },
+  };
+}
+
+function describeSearchLimit({ type, value }) {
+  switch (type) {
+    case SearchLimitType.DEPTH:
+      return `depth ${value}`;
+    case SearchLimitType.NODES:
+      return `${value.toLocaleString('en-US')} nodes`;
+    default:
+      return value % 1000 === 0 ? `${value / 1000} s/move` : `${value} ms/move`;
+  }
+}
+
+function describeEngineLevel(settings) {
+  return settings.mode === 'elo' ? `Elo ${settings.elo}` : `Skill ${settings.skill}`;
+}
+
+// Short HUD label, e.g. "Skill 8 · 1 s/move" or "Elo 1800 · depth 12".
+function describeEngineStrength(settings) {
+  return `${describeEngineLevel(settings)} · ${describeSearchLimit(settings.limit)}`;
+}
+
+// The `go` options for StockfishEngine.getBestMove.
+function getSearchOptions({ limit }) {
+  return { [limit.type]: limit.value };
+}
+
+export {
+  ENGINE_ELO_RANGE,
+  ENGINE_SKILL_RANGE,
+  SEARCH_LIMIT_RANGES,
+  SearchLimitType,
+  DEFAULT_ENGINE_STRENGTH,
+  normalizeEngineStrength,
+  describeEngineLevel,
+  describeSearchLimit,
+  describeEngineStrength,
+  getSearchOptions,
+};
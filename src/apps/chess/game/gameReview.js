@@ -0,0 +1,166 @@
+import { ChessGame, PieceColor } from './chessGame.js';
+
+const REVIEW_DEPTH = 14;
+const REVIEW_LINE_LENGTH = 8;
+
+// Logistic slope per centipawn that turns an engine score into winning chances.
+const WINNING_CHANCES_SCALE = 0.00368208;
+
+const MoveClassification = {
+  BEST: 'best',
+  EXCELLENT: 'excellent',
+  INACCURACY: 'inaccuracy',
+  MISTAKE: 'mistake',
+  BLUNDER: 'blunder',
+};
+
+// Smallest drop in winning chances, in percentage points, for each label, worst first.
+const CLASSIFICATION_THRESHOLDS = [
+  [MoveClassification.BLUNDER, 30],
+  [MoveClassification.MISTAKE, 20],
+  [MoveClassification.INACCURACY, 10],
+];
+
+// PGN-style suffixes for the annotated move list.
+const CLASSIFICATION_SYMBOLS = {
+  [MoveClassification.BEST]: '!',
+  [MoveClassification.EXCELLENT]: '',
+  [MoveClassification.INACCURACY]: '?!',
+  [MoveClassification.MISTAKE]: '?',
+  [MoveClassification.BLUNDER]: '??',
+};
+
+const ERROR_CLASSIFICATIONS = [
+  MoveClassification.INACCURACY,
+  MoveClassification.MISTAKE,
+  MoveClassification.BLUNDER,
+];
+
+// Chances of winning for the side to move, from 0 to 100. Mate 0 means the side to move is mated.
+function winningChances(score) {
+  if (!score) {
+    return 50;
+  }
+  if (score.type === 'mate') {
+    return score.value > 0 ? 100 : 0;
+  }
+  return 100 / (1 + Math.exp(-WINNING_CHANCES_SCALE * score.value));
+}
+
+// Per-move accuracy from the drop in winning chances, on the curve Lichess uses.
+function moveAccuracy(loss) {
+  return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * loss) - 3.1669));
+}
+
+function classifyLoss(loss) {
+  const match = CLASSIFICATION_THRESHOLDS.find(([, threshold]) => loss >= threshold);
+  return match ? match[0] : MoveClassification.EXCELLENT;
+}
+
+function sideToMoveOf(fen) {
+  return fen.split(/\s+/)[1] === 'b' ? PieceColor.BLACK : PieceColor.WHITE;
+}
+
+function hasMate(score) {
+  return score?.type === 'mate' && score.value > 0;
+}
+
+function formatBestLine(game, fen, pv) {
+  const line = new ChessGame({ variant: game.variant });
+  line.loadFEN(fen, { chess960: game.chess960 });
+  return line.formatLine(pv.slice(0, REVIEW_LINE_LENGTH));
+}
+
+function summarizeSide(moves, color) {
+  const own = moves.filter((move) => move.color === color);
+  const counts = Object.fromEntries(Object.values(MoveClassification).map((label) => [label, 0]));
+  let missedMates = 0;
+  for (const move of own) {
+    counts[move.classification] += 1;
+    if (move.missedMate) {
+      missedMates += 1;
+    }
+  }
+  const accuracy = own.length > 0
+    ? Math.round((own.reduce((sum, move) => sum + move.accuracy, 0) / own.length) * 10) / 10
+    : null;
+  return { accuracy, counts, missedMates };
+}
+
+// Turns one engine result per position (the start, then after each move) into the review.
+function buildReview(game, moves, results) {
+  const reviewed = moves.map((move, index) => {
+    const before = results[index];
+    const after = results[index + 1];
+    const chancesBefore = winningChances(before.score);
+    // The position after the move has the opponent to move.
+    const chancesAfter = 100 - winningChances(after.score);
+    const loss = Math.max(0, chancesBefore - chancesAfter);
+    const missedMate = hasMate(before.score)
+      && !(after.score?.type === 'mate' && after.score.value <= 0);
+    // The principal variation is the engine's real choice; a handicapped bestmove may differ.
+    const engineMove = before.pv[0] ?? before.bestMove;
+    let classification = classifyLoss(loss);
+    if (move.uci === engineMove && !ERROR_CLASSIFICATIONS.includes(classification)) {
+      classification = MoveClassification.BEST;
+    }
+    if (missedMate && !ERROR_CLASSIFICATIONS.includes(classification)) {
+      classification = MoveClassification.INACCURACY;
+    }
+    const bestLine = ERROR_CLASSIFICATIONS.includes(classification) && before.pv.length > 0
+      ? formatBestLine(game, move.fenBefore, before.pv)
+      : [];
+    return {
+      ply: move.ply,
+      moveNumber: move.moveNumber,
+      color: move.color,
+      san: move.san,
+      uci: move.uci,
+      classification,
+      symbol: CLASSIFICATION_SYMBOLS[classification],
+      missedMate,
+      loss: Math.round(loss * 10) / 10,
+      accuracy: moveAccuracy(loss),
+      bestMove: engineMove,
+      bestLine,
+    };
+  });
+
+  return {
+    moves: reviewed,
+    // Every position from before the first move, scored for its side to move.
+    evaluations: results.map((result) => ({
+      fen: result.fen,
+      depth: result.depth ?? 0,
+      score: result.score,
+      sideToMove: sideToMoveOf(result.fen),
+    })),
+    sides: {
+      [PieceColor.WHITE]: summarizeSide(reviewed, PieceColor.WHITE),
+      [PieceColor.BLACK]: summarizeSide(reviewed, PieceColor.BLACK),
+    },
+  };
+}
+
+// Analyses every position of the game with `engine` and classifies each move by how much it
+// lowered the mover's winning chances. `onProgress(done, total)` follows the positions searched;
+// aborting `signal` stops the review.
+async function reviewGame(game, engine, { depth = REVIEW_DEPTH, onProgress = null, signal = null } = {}) {
+  const moves = game.getFullHistory();
+  if (moves.length === 0) {
+    throw new Error('There are no moves to review');
+  }
+  const fens = [moves[0].fenBefore, ...moves.map((move) => move.fenAfter)];
+  const results = await engine.analyzePositions(fens, { depth, onProgress, signal });
+  return buildReview(game, moves, results);
+}
+
+export {
+  REVIEW_DEPTH,
+  MoveClassification,
+  CLASSIFICATION_SYMBOLS,
+  winningChances,
+  moveAccuracy,
+  buildReview,
+  reviewGame,
+};
@@ -0,0 +1,73 @@
+import { PieceColor, PieceType } from './chessGame.js';
+
+const NotationStyle = {
+  SAN: 'san',
+  LONG_ALGEBRAIC: 'long-algebraic',
+  FIGURINE: 'figurine',
+  UCI: 'uci',
+};
+
+const PIECE_LETTERS = {
+  [PieceType.KNIGHT]: 'N',
+  [PieceType.BISHOP]: 'B',
+  [PieceType.ROOK]: 'R',
+  [PieceType.QUEEN]: 'Q',
+  [PieceType.KING]: 'K',
+};
+
+const FIGURINES = {
+  [PieceColor.WHITE]: { K: '♔', Q: '♕', R: '♖', B: '♗', N: '♘' },
+  [PieceColor.BLACK]: { K: '♚', Q: '♛', R: '♜', B: '♝', N: '♞' },
+};
+
+function checkSuffix(record) {
+  if (record.checkmate) {
+    return '#';
+  }
+  return record.check ? '+' : '';
+}
+
+function formatLongAlgebraic(record) {
+  if (record.castle) {
+    return `${record.castle === 'king' ? 'O-O' : 'O-O-O'}${checkSuffix(record)}`;
+  }
+  if (record.drop) {
+    return `${PIECE_LETTERS[record.piece] ?? 'P'}@${record.to}${checkSuffix(record)}`;
+  }
+  const letter = PIECE_LETTERS[record.piece] ?? '';
+  const action = record.captured ? 'x' : '-';
+  const promotion = record.promotion ? `=${PIECE_LETTERS[record.promotion]}` : '';
+  const enPassant = record.enPassant ? ' e.p.' : '';
+  return `${letter}${record.from}${action}${record.to}${promotion}${enPassant}${checkSuffix(record)}`;
+}
+
+function formatFigurine(record) {
+  const symbols = FIGURINES[record.color] ?? FIGURINES[PieceColor.WHITE];
+  return record.san.replace(/[KQRBN]/g, (letter) => symbols[letter]);
+}
+
+function formatMove(record, style = NotationStyle.SAN) {
+  if (!record) {
+    return '';
+  }
+  switch (style) {
+    case NotationStyle.LONG_ALGEBRAIC:
+      return formatLongAlgebraic(record);
+    case NotationStyle.FIGURINE:
+      return formatFigurine(record);
+    case NotationStyle.UCI:
+      return record.uci;
+    case NotationStyle.SAN:
+    default:
+      return record.san;
+  }
+}
+
+function formatHistoryEntry(record, style = NotationStyle.SAN) {
+  const prefix = record.color === PieceColor.WHITE
+    ? `${record.moveNumber}.`
+    : `${record.moveNumber}...`;
+  return `${prefix} ${formatMove(record, style)}`;
+}
+
+export { NotationStyle, formatMove, formatHistoryEntry };
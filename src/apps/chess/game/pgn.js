@@ -0,0 +1,305 @@
+import { PieceColor, GameEndReason, STANDARD_RULES } from './chessGame.js';
+import { findVariantByName } from './variants.js';
+
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+const RECORDED_WINNERS = {
+  '1-0': PieceColor.WHITE,
+  '0-1': PieceColor.BLACK,
+  '1/2-1/2': 'draw',
+};
+
+const SUFFIX_NAGS = {
+  '!': 1,
+  '?': 2,
+  '!!': 3,
+  '??': 4,
+  '!?': 5,
+  '?!': 6,
+};
+
+const MAX_LINE_LENGTH = 80;
+
+const TIME_FORFEIT_REASONS = [GameEndReason.TIMEOUT, GameEndReason.TIMEOUT_VS_INSUFFICIENT_MATERIAL];
+
+function escapeTagValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function formatComment(comment) {
+  return `{${String(comment).replace(/}/g, '')}}`;
+}
+
+function formatPgnDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}.${month}.${day}`;
+}
+
+function tokenizeMovetext(text) {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (char === '{') {
+      const end = text.indexOf('}', index + 1);
+      if (end === -1) {
+        throw new Error('Invalid PGN: unterminated comment');
+      }
+      tokens.push({ type: 'comment', value: text.slice(index + 1, end).trim() });
+      index = end + 1;
+      continue;
+    }
+    if (char === ';') {
+      const end = text.indexOf('\n', index + 1);
+      const stop = end === -1 ? text.length : end;
+      tokens.push({ type: 'comment', value: text.slice(index + 1, stop).trim() });
+      index = stop;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      index += 1;
+      continue;
+    }
+    const match = /^[^\s{}();]+/.exec(text.slice(index));
+    tokens.push({ type: 'symbol', value: match[0] });
+    index += match[0].length;
+  }
+  return tokens;
+}
+
+function parsePGN(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Invalid PGN: expected a non-empty string');
+  }
+
+  const tags = {};
+  const movetextLines = [];
+  let inMovetext = false;
+  for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+    if (rawLine.startsWith('%')) {
+      continue;
+    }
+    if (!inMovetext && line.startsWith('[')) {
+      const tagMatch = /^\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]$/.exec(line);
+      if (!tagMatch) {
+        throw new Error(`Invalid PGN: malformed tag pair ${line}`);
+      }
+      tags[tagMatch[1]] = tagMatch[2].replace(/\\(["\\])/g, '$1');
+      continue;
+    }
+    if (!inMovetext && !line) {
+      continue;
+    }
+    inMovetext = true;
+    movetextLines.push(rawLine);
+  }
+
+  const moves = [];
+  const comments = [];
+  let result = null;
+  let variationDepth = 0;
+  for (const token of tokenizeMovetext(movetextLines.join('\n'))) {
+    if (token.type === '(') {
+      variationDepth += 1;
+      continue;
+    }
+    if (token.type === ')') {
+      variationDepth = Math.max(variationDepth - 1, 0);
+      continue;
+    }
+    // Variations are skipped; only the main line is replayed.
+    if (variationDepth > 0) {
+      continue;
+    }
+    const lastMove = moves[moves.length - 1];
+    if (token.type === 'comment') {
+      if (lastMove) {
+        lastMove.comments.push(token.value);
+      } else {
+        comments.push(token.value);
+      }
+      continue;
+    }
+
+    const { value } = token;
+    if (RESULT_TOKENS.includes(value)) {
+      result = value;
+      break;
+    }
+    if (/^\$\d+$/.test(value)) {
+      lastMove?.nags.push(Number.parseInt(value.slice(1), 10));
+      continue;
+    }
+    if (SUFFIX_NAGS[value]) {
+      lastMove?.nags.push(SUFFIX_NAGS[value]);
+      continue;
+    }
+    const moveToken = value.replace(/^\d+\.+/, '');
+    if (!moveToken || /^\.+$/.test(moveToken)) {
+      continue;
+    }
+    const suffixMatch = /(!!|\?\?|!\?|\?!|!|\?)$/.exec(moveToken);
+    const san = suffixMatch ? moveToken.slice(0, -suffixMatch[1].length) : moveToken;
+    moves.push({
+      san,
+      nags: suffixMatch ? [SUFFIX_NAGS[suffixMatch[1]]] : [],
+      comments: [],
+    });
+  }
+
+  return {
+    tags,
+    moves,
+    comments,
+    result: result ?? tags.Result ?? '*',
+  };
+}
+
+function describePly(ply, color, moveNumber, san) {
+  const prefix = color === PieceColor.WHITE ? `${moveNumber}.` : `${moveNumber}...`;
+  return `ply ${ply} (${prefix} ${san})`;
+}
+
+function importPGN(text, game) {
+  const parsed = parsePGN(text);
+  const variant = findVariantByName(parsed.tags.Variant);
+  if (game.variant !== variant) {
+    game.setVariant(variant);
+  }
+  const fen = parsed.tags.FEN && parsed.tags.SetUp !== '0' ? parsed.tags.FEN : variant.startingFEN;
+  const chess960 = /chess\s*960|fischer/i.test(parsed.tags.Variant ?? '');
+  game.loadFEN(fen, { chess960 });
+
+  parsed.moves.forEach((entry, offset) => {
+    const ply = offset + 1;
+    const label = describePly(ply, game.currentPlayer, game.fullmoveNumber, entry.san);
+    const move = game.findMoveBySAN(entry.san);
+    if (!move) {
+      throw Object.assign(new Error(`Illegal move at ${label}`), { ply });
+    }
+    const result = move.drop
+      ? game.drop(move.drop, move.to)
+      : game.move(move.from, move.to, move.promotion);
+    if (!result.success) {
+      throw Object.assign(new Error(`Illegal move at ${label}: ${result.message}`), { ply });
+    }
+    if (entry.nags.length > 0) {
+      result.historyEntry.nags = entry.nags;
+    }
+    if (entry.comments.length > 0) {
+      result.historyEntry.comment = entry.comments.join(' ');
+    }
+  });
+
+  // A result the final position does not decide, such as a resignation, still ends the game.
+  const recordedWinner = RECORDED_WINNERS[parsed.result];
+  if (recordedWinner && !game.isOver()) {
+    game.recordResult(recordedWinner);
+  }
+
+  return parsed;
+}
+
+function gameResultToken(game) {
+  if (game.winner === PieceColor.WHITE) {
+    return '1-0';
+  }
+  if (game.winner === PieceColor.BLACK) {
+    return '0-1';
+  }
+  if (game.winner === 'draw') {
+    return '1/2-1/2';
+  }
+  return null;
+}
+
+function wrapTokens(tokens) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+function exportPGN(game, { tags = {}, result = null, comment = null, date = new Date() } = {}) {
+  const resultToken = gameResultToken(game) ?? result ?? '*';
+  const roster = {
+    Event: 'Casual Game',
+    Site: '?',
+    Date: formatPgnDate(date),
+    Round: '-',
+    White: '?',
+    Black: '?',
+  };
+  const allTags = { ...roster, ...tags, Result: resultToken };
+  delete allTags.SetUp;
+  delete allTags.FEN;
+  delete allTags.Variant;
+  const variantNames = [];
+  if (game.variant !== STANDARD_RULES) {
+    variantNames.push(game.variant.name);
+  }
+  if (game.chess960) {
+    variantNames.push('Chess960');
+  }
+  if (variantNames.length > 0) {
+    allTags.Variant = variantNames.join(' ');
+  }
+  if (TIME_FORFEIT_REASONS.includes(game.endReason)) {
+    allTags.Termination ??= 'time forfeit';
+  }
+  if (game.initialFEN && game.initialFEN !== game.variant.startingFEN) {
+    allTags.SetUp = '1';
+    allTags.FEN = game.initialFEN;
+  }
+
+  const tagLines = [
+    ...SEVEN_TAG_ROSTER,
+    ...Object.keys(allTags).filter((name) => !SEVEN_TAG_ROSTER.includes(name)),
+  ]
+    .filter((name) => allTags[name] !== undefined && allTags[name] !== null)
+    .map((name) => `[${name} "${escapeTagValue(allTags[name])}"]`);
+
+  const tokens = [];
+  if (comment) {
+    tokens.push(formatComment(comment));
+  }
+  game.moveHistory.forEach((record, index) => {
+    // Keep each move number on the same line as its move.
+    if (record.color === PieceColor.WHITE) {
+      tokens.push(`${record.moveNumber}. ${record.san}`);
+    } else if (index === 0 || tokens[tokens.length - 1].startsWith('{')) {
+      tokens.push(`${record.moveNumber}... ${record.san}`);
+    } else {
+      tokens.push(record.san);
+    }
+    record.nags?.forEach((nag) => tokens.push(`$${nag}`));
+    if (record.comment) {
+      tokens.push(formatComment(record.comment));
+    }
+  });
+  tokens.push(resultToken);
+
+  return `${tagLines.join('\n')}\n\n${wrapTokens(tokens)}\n`;
+}
+
+export { SEVEN_TAG_ROSTER, parsePGN, importPGN, exportPGN };
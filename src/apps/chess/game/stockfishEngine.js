@@ -1,5 +1,15 @@
 const ENGINE_URL = '../vendor/stockfish-17.1-lite-single-03e3232.js';
 
+// How long the worker may take to answer before it is treated as hung and restarted. Loading the
+// WASM build is slow on first start; a bounded search gets its own limit plus the grace period.
+const INIT_TIMEOUT_MS = 30000;
+const COMMAND_TIMEOUT_MS = 10000;
+const SEARCH_TIMEOUT_GRACE_MS = 5000;
+const DEFAULT_SEARCH_TIMEOUT_MS = 120000;
+
+// Crashes in a row, without a search finishing in between, before the engine stops restarting.
+const MAX_RESTARTS = 3;
+
 function normalizeLine(data) {
   if (typeof data === 'string') {
     return data;
@@ -13,15 +23,185 @@ function normalizeLine(data) {
   return String(data);
 }
 
+// Raised when the worker crashes or stops answering. A recoverable failure has already restarted
+// the worker with its options, so the request can simply be made again.
+class EngineFailure extends Error {
+  constructor(message, { recoverable = true, cause = null } = {}) {
+    super(message, { cause });
+    this.name = 'EngineFailure';
+    this.recoverable = recoverable;
+  }
+}
+
+// Updates kept for a `for await` loop that has fallen behind; older ones are dropped.
+const MAX_QUEUED_INFO = 256;
+
+const INFO_NUMBER_FIELDS = ['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time', 'hashfull', 'tbhits'];
+
+// Parses a UCI `info` line into { depth, seldepth, multipv, score: { type, value, bound }, wdl,
+// nodes, nps, time, pv }. Scores are from the side to move; `bound` is 'lower', 'upper' or null.
+// Lines without a score (currmove updates, strings) give null.
+function parseInfoLine(line) {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'info' || tokens[1] === 'string') {
+    return null;
+  }
+  const info = { multipv: 1, score: null, wdl: null, pv: [] };
+  for (let i = 1; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (INFO_NUMBER_FIELDS.includes(token)) {
+      info[token] = Number.parseInt(tokens[i + 1], 10);
+      i += 1;
+    } else if (token === 'score') {
+      info.score = { type: tokens[i + 1], value: Number.parseInt(tokens[i + 2], 10), bound: null };
+      i += 2;
+      if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') {
+        info.score.bound = tokens[i + 1] === 'lowerbound' ? 'lower' : 'upper';
+        i += 1;
+      }
+    } else if (token === 'wdl') {
+      const [win, draw, loss] = tokens.slice(i + 1, i + 4).map((value) => Number.parseInt(value, 10));
+      info.wdl = { win, draw, loss };
+      i += 3;
+    } else if (token === 'pv') {
+      info.pv = tokens.slice(i + 1);
+      break;
+    }
+  }
+  return info.score ? info : null;
+}
+
+// One analysis run. Updates arrive through `onInfo` or by iterating the session with `for await`;
+// `lines[k]` holds the latest info for principal variation k + 1. Breaking out of the loop or
+// calling cancel() stops the search; `completed` tells a search that reached its depth from one
+// that was stopped, and `error` holds the engine failure that ended it, if any.
+class AnalysisSession {
+  constructor(engine, { fen, multiPV, infinite, onInfo }) {
+    this.engine = engine;
+    this.fen = fen;
+    this.multiPV = multiPV;
+    this.infinite = infinite;
+    this.onInfo = onInfo;
+    this.lines = [];
+    this.bestMove = null;
+    this.done = false;
+    this.completed = false;
+    this.error = null;
+    this.queue = [];
+    this.pendingNext = null;
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+  }
+
+  push(info) {
+    if (this.done) {
+      return;
+    }
+    this.lines[info.multipv - 1] = info;
+    this.onInfo?.(info, this);
+    if (this.pendingNext) {
+      const resolve = this.pendingNext;
+      this.pendingNext = null;
+      resolve({ value: info, done: false });
+    } else {
+      this.queue.push(info);
+      if (this.queue.length > MAX_QUEUED_INFO) {
+        this.queue.shift();
+      }
+    }
+  }
+
+  finish(bestMove = null, { completed = false, error = null } = {}) {
+    if (this.done) {
+      return;
+    }
+    this.done = true;
+    this.completed = completed;
+    this.error = error;
+    this.bestMove = bestMove;
+    if (this.pendingNext) {
+      this.pendingNext({ value: undefined, done: true });
+      this.pendingNext = null;
+    }
+    this.resolveFinished(bestMove);
+  }
+
+  cancel() {
+    this.engine.stopAnalysis(this);
+  }
+
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve({ value: this.queue.shift(), done: false });
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve) => {
+      this.pendingNext = resolve;
+    });
+  }
+
+  return() {
+    this.cancel();
+    this.queue = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+// The `go` command for getBestMove() options, and how long that search may take before the worker
+// is considered hung. `timeout` overrides the estimate.
+function buildSearch(options, defaultMoveTime) {
+  const { depth, nodes, movetime, wtime, btime, winc = 0, binc = 0, movestogo, timeout } = options;
+  const chosenMoveTime = typeof movetime === 'number' ? movetime : defaultMoveTime;
+  let command;
+  let limit = DEFAULT_SEARCH_TIMEOUT_MS;
+  if (typeof depth === 'number') {
+    command = `go depth ${depth}`;
+  } else if (typeof nodes === 'number') {
+    command = `go nodes ${nodes}`;
+  } else if (typeof wtime === 'number' && typeof btime === 'number') {
+    // A running clock lets the engine budget its own time.
+    const movesToGo = typeof movestogo === 'number' ? ` movestogo ${movestogo}` : '';
+    command = `go wtime ${wtime} btime ${btime} winc ${winc} binc ${binc}${movesToGo}`;
+    limit = Math.max(wtime, btime) + SEARCH_TIMEOUT_GRACE_MS;
+  } else if (typeof chosenMoveTime === 'number') {
+    command = `go movetime ${chosenMoveTime}`;
+    limit = chosenMoveTime + SEARCH_TIMEOUT_GRACE_MS;
+  } else {
+    command = 'go depth 12';
+  }
+  return { command, timeout: typeof timeout === 'number' ? timeout : limit };
+}
+
+// Talks UCI to Stockfish in a worker. Requests run one at a time in the order they were made, so a
+// move search never cuts off an analysis or an option change; only stop() or an AbortSignal ends
+// a request early. A crashed or hung worker is replaced and its options replayed.
 export class StockfishEngine {
   constructor({ skillLevel = 8, moveTime = 1000 } = {}) {
     this.worker = null;
     this.waiters = [];
+    this.jobs = [];
+    this.activeJob = null;
     this.pendingBestMoveResolve = null;
     this.pendingBestMoveReject = null;
     this.readyPromise = null;
     this.skillLevel = skillLevel;
     this.moveTime = moveTime;
+    this.options = {};
+    this.variants = [];
+    this.lastScore = null;
+    this.lastDepth = null;
+    this.analysis = null;
+    this.multiPV = 1;
+    this.showWdl = false;
+    this.failures = 0;
+    this.restarts = 0;
   }
 
   send(command) {
@@ -40,11 +220,35 @@ export class StockfishEngine {
       const line = entry.trim();
       if (!line) continue;
 
+      // Multi-variant builds list their rule sets in the UCI_Variant combo option.
+      if (line.startsWith('option name UCI_Variant ')) {
+        const tokens = line.split(/\s+/);
+        this.variants = tokens.filter((token, index) => tokens[index - 1] === 'var');
+      }
+
+      // Scores are from the side to move: { type: 'cp' | 'mate', value }.
+      if (line.startsWith('info ')) {
+        const info = parseInfoLine(line);
+        if (info && info.multipv === 1 && !info.score.bound) {
+          this.lastScore = { type: info.score.type, value: info.score.value };
+          this.lastDepth = info.depth ?? null;
+        }
+        if (info) {
+          this.analysis?.push(info);
+        }
+      }
+
       if (line.startsWith('bestmove')) {
+        this.failures = 0;
         const parts = line.split(' ');
         const move = parts[1] && parts[1] !== '(none)' ? parts[1] : null;
         if (this.pendingBestMoveResolve) {
           this.pendingBestMoveResolve(move);
+        } else if (this.analysis) {
+          // A depth-limited analysis ran to completion.
+          const session = this.analysis;
+          this.analysis = null;
+          session.finish(move, { completed: true });
         }
         this.pendingBestMoveResolve = null;
         this.pendingBestMoveReject = null;
@@ -61,10 +265,25 @@ export class StockfishEngine {
     }
   }
 
-  waitFor(matcher) {
+  // Resolves with the first line `matcher` accepts. No answer within `timeout` ms counts as a hung
+  // worker, which is restarted and the wait rejected.
+  waitFor(matcher, { timeout = COMMAND_TIMEOUT_MS } = {}) {
     const predicate = typeof matcher === 'function' ? matcher : (line) => line.startsWith(matcher);
-    return new Promise((resolve) => {
-      this.waiters.push({ matcher: predicate, resolve });
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.handleFailure(new Error(`Stockfish did not answer within ${timeout} ms`));
+      }, timeout);
+      this.waiters.push({
+        matcher: predicate,
+        resolve: (line) => {
+          clearTimeout(timer);
+          resolve(line);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
     });
   }
 
@@ -72,25 +291,146 @@ export class StockfishEngine {
     if (this.readyPromise) {
       return this.readyPromise;
     }
+    const ready = this.startWorker();
+    this.readyPromise = ready;
+    // A failed start is tried again by the next request rather than remembered.
+    ready.catch(() => {
+      if (this.readyPromise === ready) {
+        this.readyPromise = null;
+      }
+    });
+    return ready;
+  }
+
+  async startWorker() {
+    const worker = new Worker(new URL(ENGINE_URL, import.meta.url));
+    this.worker = worker;
+    worker.addEventListener('message', (event) => {
+      if (this.worker === worker) {
+        this.handleMessage(event.data);
+      }
+    });
+    worker.addEventListener('error', (event) => {
+      if (this.worker === worker) {
+        this.handleFailure(new Error(event.message || 'Stockfish worker error'));
+      }
+    });
+
+    this.send('uci');
+    await this.waitFor((line) => line === 'uciok', { timeout: INIT_TIMEOUT_MS });
+    if (typeof this.skillLevel === 'number') {
+      this.send(`setoption name Skill Level value ${this.skillLevel}`);
+    }
+    this.send('setoption name Threads value 1');
+    for (const [name, value] of Object.entries(this.options)) {
+      this.send(`setoption name ${name} value ${value}`);
+    }
+    if (this.restarts > 0) {
+      this.send('ucinewgame');
+    }
+    await this.waitReady();
+    return true;
+  }
+
+  // Called when the worker crashes or stops answering. Everything waiting on it fails with an
+  // EngineFailure; up to MAX_RESTARTS times in a row a fresh worker is started straight away.
+  handleFailure(cause) {
+    const { worker } = this;
+    if (!worker) {
+      return;
+    }
+    this.worker = null;
+    worker.terminate();
+    this.readyPromise = null;
+    this.multiPV = 1;
+    this.showWdl = false;
+    this.failures += 1;
+    const recoverable = this.failures <= MAX_RESTARTS;
+    const error = new EngineFailure(
+      recoverable ? 'Stockfish stopped responding and was restarted' : 'Stockfish keeps failing',
+      { recoverable, cause },
+    );
+    console.error(error.message, cause);
+
+    this.waiters.splice(0).forEach((waiter) => waiter.reject(error));
+    this.pendingBestMoveReject?.(error);
+    this.pendingBestMoveResolve = null;
+    this.pendingBestMoveReject = null;
+    const session = this.analysis;
+    this.analysis = null;
+    session?.finish(null, { error });
+
+    if (!recoverable) {
+      this.jobs.splice(0).forEach((job) => job.reject(error));
+      return;
+    }
+    this.restarts += 1;
+    this.initialize().catch(() => {});
+  }
 
-    this.worker = new Worker(new URL(ENGINE_URL, import.meta.url));
-    this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
-    this.worker.addEventListener('error', (event) => {
-      console.error('Stockfish worker error:', event);
+  // Queues `run(signal)` behind earlier requests and resolves with its result. `search` marks
+  // requests that stop() cancels; option changes are always kept.
+  enqueue(run, { signal = null, search = false } = {}) {
+    const controller = new AbortController();
+    const job = { run, search, controller, signal: controller.signal, release: null };
+    const promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
     });
+    if (signal?.aborted) {
+      controller.abort(signal.reason);
+    } else if (signal) {
+      const forward = () => controller.abort(signal.reason);
+      signal.addEventListener('abort', forward, { once: true });
+      job.release = () => signal.removeEventListener('abort', forward);
+    }
+    // A request cancelled while still waiting leaves the queue at once.
+    job.signal.addEventListener('abort', () => {
+      const index = this.jobs.indexOf(job);
+      if (index !== -1) {
+        this.jobs.splice(index, 1);
+        job.reject(job.signal.reason);
+      }
+    }, { once: true });
+    if (job.signal.aborted) {
+      job.reject(job.signal.reason);
+      return promise;
+    }
+    this.jobs.push(job);
+    this.runJobs();
+    return promise;
+  }
 
-    this.readyPromise = (async () => {
-      this.send('uci');
-      await this.waitFor((line) => line === 'uciok');
-      if (typeof this.skillLevel === 'number') {
-        this.send(`setoption name Skill Level value ${this.skillLevel}`);
+  async runJobs() {
+    if (this.activeJob) {
+      return;
+    }
+    while (this.jobs.length > 0) {
+      const job = this.jobs.shift();
+      this.activeJob = job;
+      try {
+        await this.settleAnalysis();
+        job.signal.throwIfAborted();
+        job.resolve(await job.run(job.signal));
+      } catch (error) {
+        job.reject(error);
       }
-      this.send('setoption name Threads value 1');
-      await this.waitReady();
-      return true;
-    })();
+      job.release?.();
+      this.activeJob = null;
+    }
+  }
 
-    return this.readyPromise;
+  // An open-ended analysis gives way to the next request; one with a depth limit is let finish.
+  async settleAnalysis() {
+    const session = this.analysis;
+    if (!session) {
+      return;
+    }
+    if (session.infinite) {
+      this.stopAnalysis(session);
+    } else {
+      await session.finished;
+    }
   }
 
   async waitReady() {
@@ -100,59 +440,193 @@ export class StockfishEngine {
 
   async setSkillLevel(level) {
     this.skillLevel = level;
-    await this.initialize();
-    if (typeof level === 'number') {
+    if (typeof level !== 'number') {
+      return;
+    }
+    await this.enqueue(async () => {
+      await this.initialize();
       this.send(`setoption name Skill Level value ${level}`);
       await this.waitReady();
+    });
+  }
+
+  // A rating turns on Stockfish's own Elo limiter, which takes precedence over the Skill Level;
+  // without one the limiter is switched off and the skill level applies again.
+  async setStrength({ skillLevel = this.skillLevel, elo = null } = {}) {
+    if (typeof elo === 'number') {
+      await this.setOption('UCI_Elo', elo);
+      await this.setOption('UCI_LimitStrength', true);
+      return;
     }
+    await this.setOption('UCI_LimitStrength', false);
+    await this.setSkillLevel(skillLevel);
   }
 
+  supportsVariant(name) {
+    return name === 'chess' || this.variants.includes(name);
+  }
+
+  // Options are remembered so a restarted worker gets them back.
+  async setOption(name, value) {
+    this.options[name] = value;
+    await this.enqueue(async () => {
+      await this.initialize();
+      this.send(`setoption name ${name} value ${value}`);
+      await this.waitReady();
+    });
+  }
+
+  // Ends the running search and drops queued ones; their callers reject with 'Search stopped'.
+  // Queued option changes and new games still run.
   stop() {
-    if (this.worker) {
-      this.worker.postMessage('stop');
+    const reason = new Error('Search stopped');
+    this.jobs.filter((job) => job.search).forEach((job) => job.controller.abort(reason));
+    if (this.activeJob?.search) {
+      this.activeJob.controller.abort(reason);
     }
-    if (this.pendingBestMoveReject) {
-      this.pendingBestMoveReject(new Error('Search stopped'));
+    this.stopAnalysis();
+  }
+
+  // Ends the running analysis, or only `session` when given so a stale handle cannot stop a newer
+  // run. The stopped search's bestmove arrives before the next readyok, so it never reaches a
+  // later getBestMove().
+  stopAnalysis(session = this.analysis) {
+    if (!session || session !== this.analysis) {
+      session?.finish();
+      return;
     }
-    this.pendingBestMoveResolve = null;
-    this.pendingBestMoveReject = null;
+    this.analysis = null;
+    this.send('stop');
+    session.finish();
   }
 
-  async newGame() {
-    await this.initialize();
-    this.stop();
-    this.send('ucinewgame');
+  // Only called from inside a queued request.
+  async setMultiPV(count) {
+    if (count === this.multiPV) {
+      return;
+    }
+    this.multiPV = count;
+    this.send(`setoption name MultiPV value ${count}`);
     await this.waitReady();
   }
 
-  async getBestMove(fen, options = {}) {
-    await this.initialize();
-    this.stop();
-    this.send(`position fen ${fen}`);
-    await this.waitReady();
+  // Streams parsed info lines for `fen` until cancelled, or until `depth` is reached when
+  // `infinite` is false. An open-ended analysis is stopped by the next request; a limited one runs
+  // to its depth first. Aborting `signal` cancels the session.
+  analyze(fen, { multiPV = 1, depth = null, infinite = depth === null, onInfo = null, signal = null } = {}) {
+    const open = infinite || typeof depth !== 'number';
+    return this.enqueue(async (jobSignal) => {
+      await this.initialize();
+      if (!this.showWdl) {
+        this.showWdl = true;
+        this.send('setoption name UCI_ShowWDL value true');
+      }
+      await this.setMultiPV(multiPV);
+      this.send(`position fen ${fen}`);
+      await this.waitReady();
+      jobSignal.throwIfAborted();
+      const session = new AnalysisSession(this, { fen, multiPV, infinite: open, onInfo });
+      this.analysis = session;
+      if (signal) {
+        const cancel = () => session.cancel();
+        signal.addEventListener('abort', cancel, { once: true });
+        session.finished.then(() => signal.removeEventListener('abort', cancel));
+      }
+      if (!open) {
+        const timer = setTimeout(() => {
+          if (this.analysis === session) {
+            this.handleFailure(new Error(`Analysis to depth ${depth} did not finish`));
+          }
+        }, DEFAULT_SEARCH_TIMEOUT_MS);
+        session.finished.then(() => clearTimeout(timer));
+      }
+      this.send(open ? 'go infinite' : `go depth ${depth}`);
+      return session;
+    }, { signal, search: true });
+  }
+
+  // Searches each position to `depth` in turn and resolves with one result per FEN:
+  // { fen, score, depth, bestMove, pv }, the score from the side to move. Rejects if the batch is
+  // stopped, aborted or the engine fails part way.
+  async analyzePositions(fens, { depth = 14, onProgress = null, signal = null } = {}) {
+    const results = [];
+    for (const fen of fens) {
+      const session = await this.analyze(fen, { depth, infinite: false, signal });
+      await session.finished;
+      if (!session.completed) {
+        throw session.error ?? (signal?.aborted ? signal.reason : new Error('Analysis stopped'));
+      }
+      const [best] = session.lines;
+      results.push({
+        fen,
+        score: best ? { type: best.score.type, value: best.score.value } : null,
+        depth: best?.depth ?? null,
+        bestMove: session.bestMove,
+        pv: best?.pv ?? [],
+      });
+      onProgress?.(results.length, fens.length);
+    }
+    return results;
+  }
+
+  async newGame() {
+    await this.enqueue(async () => {
+      await this.initialize();
+      this.send('ucinewgame');
+      await this.waitReady();
+    });
+  }
 
-    const { depth, movetime } = options;
-    const chosenMoveTime = typeof movetime === 'number' ? movetime : this.moveTime;
+  // Resolves with the best move in UCI notation, or null when there is none. Waits for earlier
+  // requests; stop() or aborting `signal` rejects it.
+  getBestMove(fen, options = {}) {
+    const { signal = null } = options;
+    return this.enqueue(async (jobSignal) => {
+      await this.initialize();
+      await this.setMultiPV(1);
+      this.send(`position fen ${fen}`);
+      await this.waitReady();
+      jobSignal.throwIfAborted();
+      this.lastScore = null;
+      this.lastDepth = null;
+      return this.search(buildSearch(options, this.moveTime), jobSignal);
+    }, { signal, search: true });
+  }
 
+  search({ command, timeout }, signal) {
     return new Promise((resolve, reject) => {
-      this.pendingBestMoveResolve = (move) => {
+      const timer = setTimeout(() => {
+        this.handleFailure(new Error(`No move within ${timeout} ms`));
+      }, timeout);
+      const onAbort = () => {
+        this.send('stop');
+        settle();
+        reject(signal.reason);
+      };
+      const settle = () => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
         this.pendingBestMoveResolve = null;
         this.pendingBestMoveReject = null;
+      };
+      this.pendingBestMoveResolve = (move) => {
+        settle();
         resolve(move);
       };
       this.pendingBestMoveReject = (error) => {
-        this.pendingBestMoveResolve = null;
-        this.pendingBestMoveReject = null;
+        settle();
         reject(error);
       };
-
-      if (typeof depth === 'number') {
-        this.send(`go depth ${depth}`);
-      } else if (typeof chosenMoveTime === 'number') {
-        this.send(`go movetime ${chosenMoveTime}`);
-      } else {
-        this.send('go depth 12');
-      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.send(command);
     });
   }
+
+  // Searches the position and resolves with the final score for the side to move.
+  async evaluate(fen, { depth = 12, signal = null } = {}) {
+    await this.getBestMove(fen, { depth, signal });
+    return this.lastScore;
+  }
 }
+
+export { parseInfoLine, EngineFailure };
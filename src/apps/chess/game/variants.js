@@ -0,0 +1,199 @@
+import { PieceType, PieceColor, GameEndReason, STANDARD_RULES } from './chessGame.js';
+
+// d5, e5, d4 and e4 in board indices.
+const HILL_SQUARES = [27, 28, 35, 36];
+
+const CHECKS_TO_WIN = 3;
+
+function countPieces(game, color) {
+  return game.board.filter((piece) => piece && piece.color === color).length;
+}
+
+function isCapture(game, move) {
+  if (move.enPassant) {
+    return true;
+  }
+  const target = game.board[move.to];
+  return Boolean(target && !move.castle && target.color !== game.board[move.from].color);
+}
+
+function hasCapture(game, color) {
+  for (let index = 0; index < 64; index += 1) {
+    const piece = game.board[index];
+    if (!piece || piece.color !== color) continue;
+    if (game.generatePseudoMoves(index, piece).some((move) => isCapture(game, move))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+const KING_OF_THE_HILL = {
+  ...STANDARD_RULES,
+  id: 'king-of-the-hill',
+  name: 'King of the Hill',
+  aliases: ['koth', 'kingofthehill'],
+  uciVariant: 'kingofthehill',
+  getOutcome(game, lastMover) {
+    const king = game.findKing(lastMover);
+    return HILL_SQUARES.includes(king)
+      ? { winner: lastMover, reason: GameEndReason.KING_OF_THE_HILL }
+      : null;
+  },
+  // A bare king can still walk to the centre, so material never runs out.
+  isInsufficientMaterial() {
+    return false;
+  },
+  hasMatingMaterial() {
+    return true;
+  },
+  describeStatus() {
+    return 'Bring your king to d4, e4, d5 or e5 to win.';
+  },
+};
+
+const THREE_CHECK = {
+  ...STANDARD_RULES,
+  id: 'three-check',
+  name: 'Three-check',
+  aliases: ['threecheck', '3check'],
+  uciVariant: '3check',
+  // `fenField` is "3+3" style checks remaining or "+1+0" style checks given, White first.
+  createState(fenField = null) {
+    const checks = { [PieceColor.WHITE]: 0, [PieceColor.BLACK]: 0 };
+    if (fenField) {
+      const given = fenField.startsWith('+');
+      const [white, black] = fenField.split('+').filter(Boolean).map((value) => Number.parseInt(value, 10));
+      if ([white, black].some((value) => value > CHECKS_TO_WIN)) {
+        throw new Error(`Invalid FEN: check counters '${fenField}' exceed ${CHECKS_TO_WIN}`);
+      }
+      checks[PieceColor.WHITE] = given ? white : CHECKS_TO_WIN - white;
+      checks[PieceColor.BLACK] = given ? black : CHECKS_TO_WIN - black;
+    }
+    return { checks };
+  },
+  // State is replaced rather than mutated so undo can restore the previous object.
+  advanceState(state, { color, check }) {
+    if (!check) {
+      return state;
+    }
+    return { ...state, checks: { ...state.checks, [color]: state.checks[color] + 1 } };
+  },
+  getOutcome(game, lastMover) {
+    return game.variantState.checks[lastMover] >= CHECKS_TO_WIN
+      ? { winner: lastMover, reason: GameEndReason.THREE_CHECK }
+      : null;
+  },
+  // Any piece besides the kings can still give check.
+  isInsufficientMaterial(game) {
+    return game.board.every((piece) => !piece || piece.type === PieceType.KING);
+  },
+  hasMatingMaterial(game, color) {
+    return game.board.some((piece) => piece && piece.color === color && piece.type !== PieceType.KING);
+  },
+  positionKeySuffix(game) {
+    const { checks } = game.variantState;
+    return `+${checks[PieceColor.WHITE]}+${checks[PieceColor.BLACK]}`;
+  },
+  // Checks each side still needs, as Stockfish and lichess write them after the en-passant square.
+  formatFenField(game) {
+    const { checks } = game.variantState;
+    return `${CHECKS_TO_WIN - checks[PieceColor.WHITE]}+${CHECKS_TO_WIN - checks[PieceColor.BLACK]}`;
+  },
+  describeStatus(game) {
+    const { checks } = game.variantState;
+    return `Checks: White ${checks[PieceColor.WHITE]}/${CHECKS_TO_WIN}, Black ${checks[PieceColor.BLACK]}/${CHECKS_TO_WIN}`;
+  },
+};
+
+const ANTICHESS = {
+  ...STANDARD_RULES,
+  id: 'antichess',
+  name: 'Antichess',
+  aliases: ['giveaway', 'losing'],
+  startingFEN: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1',
+  uciVariant: 'antichess',
+  royalKing: false,
+  castling: false,
+  promotionOptions: [...STANDARD_RULES.promotionOptions, PieceType.KING],
+  // Captures are compulsory: when any capture exists only captures may be played.
+  filterMoves(game, moves, color) {
+    return hasCapture(game, color) ? moves.filter((move) => isCapture(game, move)) : moves;
+  },
+  // The side to move wins once it has nothing left to play with.
+  getOutcome(game) {
+    const color = game.currentPlayer;
+    if (countPieces(game, color) === 0) {
+      return { winner: color, reason: GameEndReason.ALL_PIECES_LOST };
+    }
+    if (!game.hasAnyLegalMoves(color)) {
+      return { winner: color, reason: GameEndReason.NO_MOVES_LEFT };
+    }
+    return null;
+  },
+  isInsufficientMaterial() {
+    return false;
+  },
+  // Losing on time is always a loss; there is no mate to fall short of.
+  hasMatingMaterial() {
+    return true;
+  },
+  describeStatus(game) {
+    const forced = !game.winner && hasCapture(game, game.currentPlayer);
+    return `Pieces left: White ${countPieces(game, PieceColor.WHITE)}, Black ${countPieces(game, PieceColor.BLACK)}${
+      forced ? ' (capture is forced)' : ''
+    }`;
+  },
+};
+
+const CRAZYHOUSE = {
+  ...STANDARD_RULES,
+  id: 'crazyhouse',
+  name: 'Crazyhouse',
+  aliases: ['zh'],
+  startingFEN: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[] w KQkq - 0 1',
+  uciVariant: 'crazyhouse',
+  drops: true,
+  // Captured material always comes back into play.
+  isInsufficientMaterial() {
+    return false;
+  },
+  hasMatingMaterial() {
+    return true;
+  },
+  positionKeySuffix(game) {
+    return `[${game.formatPockets()}]`;
+  },
+  describeStatus(game) {
+    const pockets = game.formatPockets();
+    const white = pockets.replace(/[a-z]/g, '') || '-';
+    const black = pockets.replace(/[A-Z]/g, '').toUpperCase() || '-';
+    return `In hand: White ${white}, Black ${black}`;
+  },
+};
+
+const VARIANTS = [STANDARD_RULES, KING_OF_THE_HILL, THREE_CHECK, ANTICHESS, CRAZYHOUSE];
+
+function getVariant(id) {
+  const variant = VARIANTS.find((entry) => entry.id === id);
+  if (!variant) {
+    throw new Error(`Unknown variant: ${id}`);
+  }
+  return variant;
+}
+
+// Matches PGN Variant tags such as "Three-check" or "King of the Hill Chess960".
+function findVariantByName(name) {
+  const normalized = String(name ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (!normalized) {
+    return STANDARD_RULES;
+  }
+  return (
+    VARIANTS.find((variant) => {
+      const keys = [variant.name.toLowerCase().replace(/[^a-z0-9]/g, ''), ...(variant.aliases ?? [])];
+      return variant !== STANDARD_RULES && keys.some((key) => normalized.includes(key));
+    }) ?? STANDARD_RULES
+  );
+}
+
+export { VARIANTS, getVariant, findVariantByName };
@@ -0,0 +1,107 @@
+// Keys are generated from a fixed seed so position keys stay stable across sessions.
+const ZOBRIST_SEED = 0x4d616c6c;
+
+// Six piece types for each of the two colours.
+const PIECE_KINDS = 12;
+
+const CASTLING_BITS = {
+  K: 1,
+  Q: 2,
+  k: 4,
+  q: 8,
+};
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+}
+
+function createKeyTable(random, size) {
+  const hi = new Uint32Array(size);
+  const lo = new Uint32Array(size);
+  for (let i = 0; i < size; i += 1) {
+    hi[i] = random();
+    lo[i] = random();
+  }
+  return { hi, lo };
+}
+
+const random = createRandom(ZOBRIST_SEED);
+const PIECE_KEYS = createKeyTable(random, PIECE_KINDS * 64);
+const CASTLING_KEYS = createKeyTable(random, 4);
+const EN_PASSANT_KEYS = createKeyTable(random, 8);
+const SIDE_KEY = createKeyTable(random, 1);
+
+function castlingMask(rights) {
+  let mask = 0;
+  for (const right of rights) {
+    mask |= CASTLING_BITS[right] ?? 0;
+  }
+  return mask;
+}
+
+class ZobristHash {
+  constructor() {
+    this.hi = 0;
+    this.lo = 0;
+    this.castlingMask = 0;
+    this.enPassantFile = null;
+  }
+
+  xorKey(table, index) {
+    this.hi = (this.hi ^ table.hi[index]) >>> 0;
+    this.lo = (this.lo ^ table.lo[index]) >>> 0;
+  }
+
+  togglePiece(kind, square) {
+    this.xorKey(PIECE_KEYS, kind * 64 + square);
+  }
+
+  toggleSide() {
+    this.xorKey(SIDE_KEY, 0);
+  }
+
+  setCastlingMask(mask) {
+    const changed = this.castlingMask ^ mask;
+    for (let bit = 0; bit < 4; bit += 1) {
+      if (changed & (1 << bit)) {
+        this.xorKey(CASTLING_KEYS, bit);
+      }
+    }
+    this.castlingMask = mask;
+  }
+
+  setEnPassantFile(file) {
+    if (this.enPassantFile === file) {
+      return;
+    }
+    if (this.enPassantFile !== null) {
+      this.xorKey(EN_PASSANT_KEYS, this.enPassantFile);
+    }
+    if (file !== null) {
+      this.xorKey(EN_PASSANT_KEYS, file);
+    }
+    this.enPassantFile = file;
+  }
+
+  clone() {
+    const copy = new ZobristHash();
+    copy.hi = this.hi;
+    copy.lo = this.lo;
+    copy.castlingMask = this.castlingMask;
+    copy.enPassantFile = this.enPassantFile;
+    return copy;
+  }
+
+  toKey() {
+    return `${this.hi.toString(16).padStart(8, '0')}${this.lo.toString(16).padStart(8, '0')}`;
+  }
+}
+
+export { ZobristHash, castlingMask };
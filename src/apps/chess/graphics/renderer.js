@@ -22,6 +22,7 @@ export class Renderer {
     this.groups = {
       board: { root: null, meshes: [] },
       highlights: { root: null, meshes: [] },
+      arrows: { root: null, meshes: [] },
       pieces: { root: null, meshes: [] },
     };
 
@@ -94,6 +95,7 @@ export class Renderer {
 
     this.groups.board.root = new BABYLON.TransformNode('board-root', this.scene);
     this.groups.highlights.root = new BABYLON.TransformNode('highlight-root', this.scene);
+    this.groups.arrows.root = new BABYLON.TransformNode('arrow-root', this.scene);
     this.groups.pieces.root = new BABYLON.TransformNode('piece-root', this.scene);
 
     this.ground = BABYLON.MeshBuilder.CreateGround(
@@ -147,6 +149,58 @@ export class Renderer {
     this.#syncGroup(this.groups.highlights, instances, 'highlight');
   }
 
+  // Draws an arrow a little above the board from `from` to `to` (world positions), or clears it when
+  // `arrow` is null.
+  setArrow(arrow) {
+    const group = this.groups.arrows;
+    if (!this.scene || !group?.root) {
+      return;
+    }
+    group.meshes.forEach((mesh) => mesh.dispose());
+    group.meshes = [];
+    if (!arrow) {
+      return;
+    }
+
+    const { from, to, color = [0.95, 0.75, 0.2], height = 0.12 } = arrow;
+    const start = new BABYLON.Vector3(from[0], height, from[2]);
+    const direction = new BABYLON.Vector3(to[0], height, to[2]).subtractInPlace(start);
+    const length = direction.length();
+    if (length < 1e-3) {
+      return;
+    }
+    direction.scaleInPlace(1 / length);
+    const headLength = Math.min(0.45, length * 0.5);
+    const shaftLength = length - headLength;
+
+    // Cylinders are built along +Y, so both parts are turned onto the arrow's direction.
+    const rotation = new BABYLON.Quaternion();
+    BABYLON.Quaternion.FromUnitVectorsToRef(BABYLON.Vector3.Up(), direction, rotation);
+    const material = this.#getMaterial(color);
+
+    const shaft = BABYLON.MeshBuilder.CreateCylinder(
+      'arrow-shaft',
+      { height: shaftLength, diameter: 0.14, tessellation: 16 },
+      this.scene,
+    );
+    shaft.position = start.add(direction.scale(shaftLength / 2));
+
+    const head = BABYLON.MeshBuilder.CreateCylinder(
+      'arrow-head',
+      { height: headLength, diameterTop: 0, diameterBottom: 0.4, tessellation: 24 },
+      this.scene,
+    );
+    head.position = start.add(direction.scale(shaftLength + headLength / 2));
+
+    for (const mesh of [shaft, head]) {
+      mesh.parent = group.root;
+      mesh.isPickable = false;
+      mesh.rotationQuaternion = rotation.clone();
+      mesh.material = material;
+      group.meshes.push(mesh);
+    }
+  }
+
   updatePieceInstances(instances) {
     const group = this.groups.pieces;
     if (!this.scene || !group?.root) {
@@ -428,6 +482,7 @@ export class Renderer {
           const materialMap = this.#getModelMaterialsForColor(asset, color);
           clone.getChildMeshes().forEach((mesh) => {
             mesh.isPickable = false;
+            this.#tagPieceMesh(mesh, id);
             mesh.receiveShadows = true;
             if (this.shadowGenerator) {
               this.shadowGenerator.addShadowCaster(mesh, true);
@@ -453,6 +508,7 @@ export class Renderer {
     if (!primaryNode) {
       fallbackMeshes = this.#createFallbackMeshes(root, piece?.fallbackLayers, color);
       fallbackMeshes.forEach((mesh) => {
+        this.#tagPieceMesh(mesh, id);
         mesh.receiveShadows = true;
         if (this.shadowGenerator) {
           this.shadowGenerator.addShadowCaster(mesh, true);
@@ -480,6 +536,11 @@ export class Renderer {
     };
   }
 
+  // Piece meshes stay unpickable for Babylon's own pointer handling; pickPiece finds them by this tag.
+  #tagPieceMesh(mesh, id) {
+    mesh.metadata = { ...(mesh.metadata ?? {}), pieceId: id };
+  }
+
   #updatePieceEntry(entry, piece) {
     if (!entry?.root) {
       return;
@@ -619,6 +680,27 @@ export class Renderer {
     return this.pieceRegistry.get(id) ?? null;
   }
 
+  // Casts a world-space ray against every piece mesh, on the board or in the trays, and returns the
+  // id of the nearest piece hit.
+  pickPiece(origin, direction, { ignoreId = null } = {}) {
+    if (!this.scene) {
+      return null;
+    }
+    const ray = new BABYLON.Ray(
+      new BABYLON.Vector3(origin[0], origin[1], origin[2]),
+      new BABYLON.Vector3(direction[0], direction[1], direction[2]),
+      1000,
+    );
+    const pick = this.scene.pickWithRay(ray, (mesh) => {
+      const pieceId = mesh.metadata?.pieceId;
+      return pieceId !== undefined && pieceId !== ignoreId && mesh.isEnabled() && mesh.isVisible;
+    });
+    if (!pick?.hit || !pick.pickedMesh) {
+      return null;
+    }
+    return { pieceId: pick.pickedMesh.metadata.pieceId, distance: pick.distance };
+  }
+
   setPieceOffset(id, offset) {
     const entry = this.pieceRegistry.get(id);
     if (!entry?.offset) {
@@ -1,5 +1,8 @@
 import { App } from './apps/chess/app.js';
+import { NotationStyle, formatHistoryEntry } from './apps/chess/game/notation.js';
 import { KingLoadingPreview } from './apps/chess/loading/kingPreview.js';
+import { AccessibleBoard } from './apps/chess/accessibility/accessibleBoard.js';
+import { SEARCH_LIMIT_RANGES } from './apps/chess/game/engineStrength.js';
 import { NeonGardenApp } from './apps/neon-garden/app.js';
 
 const hexToRgb = (hex) => {
@@ -24,6 +27,36 @@ const palettes = {
 
 const MIN_LOADING_DURATION_MS = 5000;
 
+const PROMOTION_GLYPHS = {
+  queen: { white: '♕', black: '♛', label: 'Queen' },
+  rook: { white: '♖', black: '♜', label: 'Rook' },
+  bishop: { white: '♗', black: '♝', label: 'Bishop' },
+  knight: { white: '♘', black: '♞', label: 'Knight' },
+  king: { white: '♔', black: '♚', label: 'King' },
+};
+
+const AUTO_QUEEN_STORAGE_KEY = 'mallo.chess.autoQueen';
+const ENGINE_STRENGTH_STORAGE_KEY = 'mallo.chess.engineStrength';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Matches the viewBox of the evaluation graph in index.html.
+const EVAL_GRAPH_WIDTH = 200;
+const EVAL_GRAPH_HEIGHT = 60;
+
+// Under ten seconds the clock shows tenths; otherwise h:mm:ss or m:ss.
+const formatClock = (milliseconds) => {
+  if (milliseconds < 10000) {
+    return (Math.floor(milliseconds / 100) / 10).toFixed(1);
+  }
+  const totalSeconds = Math.ceil(milliseconds / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
 class NebulaBackground {
   constructor(canvas) {
     this.canvas = canvas;
@@ -230,9 +263,76 @@ document.addEventListener('DOMContentLoaded', () => {
   const turnIndicator = document.getElementById('turn-indicator');
   const statusIndicator = document.getElementById('check-indicator');
   const moveHistory = document.getElementById('move-history');
+  const notationSelect = document.getElementById('notation-select');
   const moveLog = document.querySelector('.move-log');
   const moveLogToggle = document.getElementById('move-log-toggle');
+  const moveEntry = document.getElementById('move-entry');
+  const moveInput = document.getElementById('move-input');
+  const moveSuggestions = document.getElementById('move-suggestions');
+  const boardGrid = document.getElementById('board-grid');
+  const boardAnnouncer = document.getElementById('board-announcer');
   const resetBtn = document.getElementById('reset-btn');
+  const undoBtn = document.getElementById('undo-btn');
+  const resignBtn = document.getElementById('resign-btn');
+  const drawOfferBtn = document.getElementById('draw-offer-btn');
+  const drawClaimBtn = document.getElementById('draw-claim-btn');
+  const hintBtn = document.getElementById('hint-btn');
+  const engineRetryBtn = document.getElementById('engine-retry-btn');
+  const autoQueenToggle = document.getElementById('auto-queen-toggle');
+  const promotionPicker = document.getElementById('promotion-picker');
+  const promotionOptions = document.getElementById('promotion-options');
+  const promotionCancel = document.getElementById('promotion-cancel');
+  const chess960Btn = document.getElementById('chess960-btn');
+  const variantSelect = document.getElementById('variant-select');
+  const variantIndicator = document.getElementById('variant-indicator');
+  const timeControlSelect = document.getElementById('time-control-select');
+  const sideSelect = document.getElementById('side-select');
+  const spectatorControls = document.getElementById('spectator-controls');
+  const spectatorPause = document.getElementById('spectator-pause');
+  const spectatorStep = document.getElementById('spectator-step');
+  const spectatorSpeed = document.getElementById('spectator-speed');
+  const spectatorFollow = document.getElementById('spectator-follow');
+  const spectatorSides = ['white', 'black'].map((color) => ({
+    color,
+    skill: document.getElementById(`spectator-skill-${color}`),
+    skillValue: document.getElementById(`spectator-skill-${color}-value`),
+    time: document.getElementById(`spectator-time-${color}`),
+  }));
+  const analysisToggle = document.getElementById('analysis-toggle');
+  const analysisPanel = document.getElementById('analysis-panel');
+  const analysisStatus = document.getElementById('analysis-status');
+  const analysisLines = document.getElementById('analysis-lines');
+  const evaluationToggle = document.getElementById('evaluation-toggle');
+  const evalBar = document.getElementById('eval-bar');
+  const evalBarFill = document.getElementById('eval-bar-fill');
+  const evalBarLabel = document.getElementById('eval-bar-label');
+  const evalGraph = document.getElementById('eval-graph');
+  const evalGraphMarker = document.getElementById('eval-graph-marker');
+  const evalGraphLine = document.getElementById('eval-graph-line');
+  const evalGraphPoints = document.getElementById('eval-graph-points');
+  const reviewBtn = document.getElementById('review-btn');
+  const reviewPanel = document.getElementById('review-panel');
+  const reviewStatus = document.getElementById('review-status');
+  const reviewClose = document.getElementById('review-close');
+  const reviewSummary = document.getElementById('review-summary');
+  const reviewMoves = document.getElementById('review-moves');
+  const engineStrength = document.getElementById('engine-strength');
+  const engineStrengthLabel = document.getElementById('engine-strength-label');
+  const strengthMode = document.getElementById('strength-mode');
+  const strengthSkill = document.getElementById('strength-skill');
+  const strengthSkillValue = document.getElementById('strength-skill-value');
+  const strengthElo = document.getElementById('strength-elo');
+  const strengthLimitType = document.getElementById('strength-limit-type');
+  const strengthLimitValue = document.getElementById('strength-limit-value');
+  const strengthModeRows = Array.from(document.querySelectorAll('[data-strength-mode]'));
+  const clockDisplay = document.getElementById('clock-display');
+  const clockElements = {
+    white: document.getElementById('clock-white'),
+    black: document.getElementById('clock-black'),
+  };
+  const pgnExportBtn = document.getElementById('pgn-export-btn');
+  const pgnImportBtn = document.getElementById('pgn-import-btn');
+  const pgnFileInput = document.getElementById('pgn-file-input');
   const engineIndicator = document.getElementById('engine-indicator');
   const filterButtons = Array.from(document.querySelectorAll('.filter-button'));
   const filterables = Array.from(document.querySelectorAll('.launcher-grid [data-categories]'));
@@ -240,6 +340,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const nebula = nebulaCanvas ? new NebulaBackground(nebulaCanvas) : null;
 
   let appInstance = null;
+  let accessibleBoard = null;
   let neonGarden = null;
   let initializing = false;
   let kingPreview = null;
@@ -249,6 +350,379 @@ document.addEventListener('DOMContentLoaded', () => {
   const moveLogMedia = window.matchMedia('(max-width: 768px)');
   let moveLogCollapsed = moveLogMedia.matches;
   let lastHistoryCount = 0;
+  let lastHistory = [];
+  let notationStyle = notationSelect?.value ?? NotationStyle.SAN;
+  let promotionKey = '';
+
+  const renderMoveHistory = () => {
+    moveHistory.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+    const recentMoves = lastHistory.slice(-24);
+    recentMoves.forEach((entry) => {
+      const li = document.createElement('li');
+      li.textContent = formatHistoryEntry(entry, notationStyle);
+      fragment.appendChild(li);
+    });
+    moveHistory.appendChild(fragment);
+    moveHistory.scrollTop = moveHistory.scrollHeight;
+  };
+
+  notationSelect?.addEventListener('change', () => {
+    notationStyle = notationSelect.value;
+    renderMoveHistory();
+  });
+
+  const renderPromotionPicker = (promotion) => {
+    if (!promotionPicker) {
+      return;
+    }
+    const wasOpen = !promotionPicker.hidden;
+    promotionPicker.hidden = !promotion;
+    if (!promotion) {
+      promotionKey = '';
+      return;
+    }
+    const { screen } = promotion;
+    promotionPicker.style.left = `${screen?.x ?? window.innerWidth / 2}px`;
+    promotionPicker.style.top = `${screen?.y ?? window.innerHeight / 2}px`;
+    // Only rebuild (and move focus) when a new choice opens, not on every state update.
+    const key = `${promotion.color}:${promotion.options.join(',')}`;
+    if (wasOpen && key === promotionKey) {
+      return;
+    }
+    promotionKey = key;
+    promotionOptions.innerHTML = '';
+    promotion.options.forEach((type) => {
+      const glyph = PROMOTION_GLYPHS[type];
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'promotion-option';
+      button.textContent = glyph?.[promotion.color] ?? type;
+      button.title = `${glyph?.label ?? type} (${type === 'knight' ? 'N' : type[0].toUpperCase()})`;
+      button.setAttribute('aria-label', `Promote to ${glyph?.label ?? type}`);
+      button.addEventListener('click', () => appInstance?.choosePromotion(type));
+      promotionOptions.appendChild(button);
+    });
+    promotionOptions.firstElementChild?.focus();
+  };
+
+  promotionPicker?.addEventListener('keydown', (event) => {
+    const buttons = Array.from(promotionOptions.querySelectorAll('button'));
+    const index = buttons.indexOf(document.activeElement);
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      appInstance?.cancelPromotion();
+    } else if (['ArrowRight', 'ArrowDown', 'ArrowLeft', 'ArrowUp'].includes(event.key) && buttons.length) {
+      event.preventDefault();
+      const step = event.key === 'ArrowRight' || event.key === 'ArrowDown' ? 1 : -1;
+      buttons[(index + step + buttons.length) % buttons.length].focus();
+    }
+  });
+
+  promotionCancel?.addEventListener('click', () => {
+    appInstance?.cancelPromotion();
+  });
+
+  // Fields being edited keep what the player typed until they commit it.
+  const renderEngineStrength = (strength) => {
+    const { activeElement } = document;
+    strengthMode.value = strength.mode;
+    strengthModeRows.forEach((row) => {
+      row.hidden = row.dataset.strengthMode !== strength.mode;
+    });
+    strengthSkill.value = String(strength.skill);
+    strengthSkillValue.textContent = String(strength.skill);
+    if (activeElement !== strengthElo) {
+      strengthElo.value = String(strength.elo);
+    }
+    strengthLimitType.value = strength.limit.type;
+    const range = SEARCH_LIMIT_RANGES[strength.limit.type];
+    strengthLimitValue.min = String(range.min);
+    strengthLimitValue.max = String(range.max);
+    if (activeElement !== strengthLimitValue) {
+      strengthLimitValue.value = String(strength.limit.value);
+    }
+  };
+
+  const applyEngineStrength = ({ limitTypeChanged = false } = {}) => {
+    const strength = appInstance?.setEngineStrength({
+      mode: strengthMode.value,
+      skill: strengthSkill.value,
+      elo: strengthElo.value,
+      // A new limit type starts from its own default rather than the old type's number.
+      limit: {
+        type: strengthLimitType.value,
+        value: limitTypeChanged ? null : strengthLimitValue.value,
+      },
+    });
+    if (!strength) {
+      return;
+    }
+    try {
+      window.localStorage.setItem(ENGINE_STRENGTH_STORAGE_KEY, JSON.stringify(strength));
+    } catch (error) {
+      // Storage can be unavailable in private browsing; the setting then lasts for the session.
+    }
+  };
+
+  strengthMode?.addEventListener('change', () => applyEngineStrength());
+  strengthSkill?.addEventListener('input', () => applyEngineStrength());
+  strengthElo?.addEventListener('change', () => applyEngineStrength());
+  strengthLimitType?.addEventListener('change', () => applyEngineStrength({ limitTypeChanged: true }));
+  strengthLimitValue?.addEventListener('change', () => applyEngineStrength());
+
+  const renderSpectator = (spectator) => {
+    if (!spectatorControls) {
+      return;
+    }
+    spectatorControls.hidden = !spectator;
+    if (!spectator) {
+      return;
+    }
+    spectatorPause.textContent = spectator.paused ? 'Resume' : 'Pause';
+    spectatorPause.setAttribute('aria-pressed', spectator.paused ? 'true' : 'false');
+    spectatorStep.disabled = !spectator.canStep;
+    spectatorSpeed.value = String(spectator.speed);
+    spectatorFollow.checked = spectator.follow;
+    spectatorSides.forEach(({ color, skill, skillValue, time }) => {
+      const strength = spectator.strengths[color];
+      skill.value = String(strength.skill);
+      skillValue.textContent = String(strength.skill);
+      if (document.activeElement !== time && strength.limit.type === 'movetime') {
+        time.value = String(strength.limit.value);
+      }
+    });
+  };
+
+  spectatorPause?.addEventListener('click', () => {
+    appInstance?.setSpectatorPaused(spectatorPause.getAttribute('aria-pressed') !== 'true');
+  });
+  spectatorStep?.addEventListener('click', () => {
+    appInstance?.stepSpectator();
+  });
+  spectatorSpeed?.addEventListener('change', () => {
+    appInstance?.setSpectatorSpeed(Number.parseFloat(spectatorSpeed.value));
+  });
+  spectatorFollow?.addEventListener('change', () => {
+    appInstance?.setSpectatorFollow(spectatorFollow.checked);
+  });
+  spectatorSides.forEach(({ color, skill, time }) => {
+    skill?.addEventListener('input', () => {
+      appInstance?.setSpectatorStrength(color, { mode: 'skill', skill: skill.value });
+    });
+    time?.addEventListener('change', () => {
+      appInstance?.setSpectatorStrength(color, { limit: { type: 'movetime', value: time.value } });
+    });
+  });
+
+  const renderAnalysis = (analysis) => {
+    analysisToggle?.setAttribute('aria-pressed', analysis ? 'true' : 'false');
+    if (!analysisPanel) {
+      return;
+    }
+    analysisPanel.hidden = !analysis;
+    if (!analysis) {
+      return;
+    }
+    const [best] = analysis.lines;
+    if (!analysis.available) {
+      analysisStatus.textContent = 'Unavailable';
+    } else if (analysis.paused) {
+      analysisStatus.textContent = 'Paused';
+    } else {
+      analysisStatus.textContent = best ? `Depth ${best.depth}` : 'Analysing…';
+    }
+    analysisLines.replaceChildren(
+      ...analysis.lines.map((line) => {
+        const item = document.createElement('li');
+        const score = document.createElement('span');
+        score.className = 'analysis-score';
+        score.textContent = line.scoreLabel;
+        const moves = document.createElement('span');
+        moves.className = 'analysis-pv';
+        moves.textContent = line.san.join(' ');
+        item.append(score, moves);
+        return item;
+      }),
+    );
+  };
+
+  analysisToggle?.addEventListener('click', () => {
+    appInstance?.setAnalysisEnabled(analysisToggle.getAttribute('aria-pressed') !== 'true');
+  });
+
+  const renderEvaluation = (evaluation, orientation) => {
+    evaluationToggle?.setAttribute('aria-pressed', evaluation ? 'true' : 'false');
+    if (!evalBar || !evalGraph) {
+      return;
+    }
+    evalBar.hidden = !evaluation;
+    evalGraph.hidden = !evaluation;
+    if (!evaluation) {
+      return;
+    }
+    const { current } = evaluation;
+    evalBar.classList.toggle('flipped', orientation === 'black');
+    evalBarFill.style.height = `${(current?.share ?? 0.5) * 100}%`;
+    evalBarLabel.textContent = current?.scoreLabel ?? '';
+    if (!evaluation.available) {
+      evalBar.setAttribute('aria-label', 'Evaluation unavailable');
+    } else {
+      evalBar.setAttribute('aria-label', current ? `Evaluation ${current.scoreLabel}` : 'Evaluating…');
+    }
+
+    const span = Math.max(evaluation.plyCount, 1);
+    const toX = (ply) => ((ply / span) * EVAL_GRAPH_WIDTH).toFixed(1);
+    const toY = (share) => ((1 - share) * EVAL_GRAPH_HEIGHT).toFixed(1);
+    evalGraphMarker.setAttribute('x1', toX(evaluation.ply));
+    evalGraphMarker.setAttribute('x2', toX(evaluation.ply));
+    evalGraphLine.setAttribute(
+      'points',
+      evaluation.points.map((point) => `${toX(point.ply)},${toY(point.share)}`).join(' '),
+    );
+    evalGraphPoints.replaceChildren(
+      ...evaluation.points.map((point) => {
+        const circle = document.createElementNS(SVG_NS, 'circle');
+        circle.setAttribute('cx', toX(point.ply));
+        circle.setAttribute('cy', toY(point.share));
+        circle.setAttribute('r', '2');
+        circle.dataset.ply = String(point.ply);
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = `Ply ${point.ply}: ${point.scoreLabel}`;
+        circle.append(title);
+        return circle;
+      }),
+    );
+    evalGraph.dataset.plyCount = String(evaluation.plyCount);
+  };
+
+  evaluationToggle?.addEventListener('click', () => {
+    appInstance?.setEvaluationEnabled(evaluationToggle.getAttribute('aria-pressed') !== 'true');
+  });
+
+  // A point jumps to its ply; anywhere else on the graph jumps to the nearest one.
+  evalGraph?.addEventListener('click', (event) => {
+    let ply = Number.parseInt(event.target.dataset?.ply ?? '', 10);
+    if (Number.isNaN(ply)) {
+      const rect = evalGraph.getBoundingClientRect();
+      const plyCount = Number.parseInt(evalGraph.dataset.plyCount ?? '0', 10);
+      ply = Math.round(((event.clientX - rect.left) / rect.width) * plyCount);
+    }
+    appInstance?.goToPly(ply);
+  });
+
+  const countLabel = (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`;
+
+  const describeReviewSide = (label, side) => {
+    const parts = [
+      countLabel(side.counts.inaccuracy, 'inaccuracy', 'inaccuracies'),
+      countLabel(side.counts.mistake, 'mistake', 'mistakes'),
+      countLabel(side.counts.blunder, 'blunder', 'blunders'),
+    ];
+    if (side.missedMates > 0) {
+      parts.push(countLabel(side.missedMates, 'missed mate', 'missed mates'));
+    }
+    const item = document.createElement('div');
+    const accuracy = document.createElement('strong');
+    accuracy.textContent = side.accuracy === null ? `${label} –` : `${label} ${side.accuracy}%`;
+    item.append(accuracy, ` · ${parts.join(' · ')}`);
+    return item;
+  };
+
+  const createReviewMove = (move) => {
+    const item = document.createElement('li');
+    item.className = `review-${move.classification}`;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.ply = String(move.ply);
+    const notation = document.createElement('span');
+    notation.className = 'review-move';
+    const prefix = `${move.moveNumber}${move.color === 'white' ? '.' : '…'}`;
+    const verdict = move.classification === 'excellent' ? '' : ` · ${move.classification}`;
+    notation.textContent = `${prefix} ${move.san}${move.symbol}${verdict}${move.missedMate ? ' · missed mate' : ''}`;
+    button.append(notation);
+    if (move.bestLine.length > 0) {
+      const line = document.createElement('span');
+      line.className = 'review-line';
+      line.textContent = `Best: ${move.bestLine.join(' ')}`;
+      button.append(line);
+    }
+    item.append(button);
+    return item;
+  };
+
+  // The move list is rebuilt only for a new review; browsing just moves the current marker.
+  let renderedReview = null;
+  const renderReview = (review, ply) => {
+    if (!reviewPanel) {
+      return;
+    }
+    reviewPanel.hidden = !review;
+    if (review !== renderedReview) {
+      renderedReview = review;
+      if (review?.status === 'done') {
+        reviewStatus.textContent = '';
+        reviewSummary.replaceChildren(
+          describeReviewSide('White', review.sides.white),
+          describeReviewSide('Black', review.sides.black),
+        );
+        reviewMoves.replaceChildren(...review.moves.map(createReviewMove));
+      } else {
+        reviewStatus.textContent = review ? `Analysing ${review.done}/${review.total}` : '';
+        reviewSummary.replaceChildren();
+        reviewMoves.replaceChildren();
+      }
+    }
+    for (const button of reviewMoves.querySelectorAll('button')) {
+      button.setAttribute('aria-current', button.dataset.ply === String(ply) ? 'true' : 'false');
+    }
+  };
+
+  reviewBtn?.addEventListener('click', () => {
+    appInstance?.startReview();
+  });
+
+  reviewClose?.addEventListener('click', () => {
+    appInstance?.closeReview();
+  });
+
+  reviewMoves?.addEventListener('click', (event) => {
+    const button = event.target.closest('button');
+    if (button) {
+      appInstance?.goToPly(Number.parseInt(button.dataset.ply, 10));
+    }
+  });
+
+  const renderMoveSuggestions = () => {
+    if (!moveSuggestions || !moveInput) {
+      return;
+    }
+    const suggestions = appInstance?.getMoveSuggestions(moveInput.value) ?? [];
+    moveSuggestions.replaceChildren(
+      ...suggestions.map((notation) => {
+        const option = document.createElement('option');
+        option.value = notation;
+        return option;
+      }),
+    );
+  };
+
+  moveInput?.addEventListener('focus', renderMoveSuggestions);
+  moveInput?.addEventListener('input', renderMoveSuggestions);
+  moveInput?.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      moveInput.value = '';
+      moveInput.blur();
+    }
+  });
+
+  moveEntry?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (appInstance?.submitTypedMove(moveInput.value)) {
+      moveInput.value = '';
+      renderMoveSuggestions();
+    }
+  });
 
   const updateStatusMessage = () => {
     const message = activeMessage || fallbackMessage;
@@ -406,6 +880,13 @@ document.addEventListener('DOMContentLoaded', () => {
 
     kingPreview?.update(0);
 
+    if (boardGrid && boardAnnouncer && !accessibleBoard) {
+      accessibleBoard = new AccessibleBoard(boardGrid, boardAnnouncer, {
+        onActivate: (index) => appInstance?.handleSquareSelection(index),
+        onFocusSquare: (index) => appInstance?.setKeyboardFocus(index),
+      });
+    }
+
     const app = new App({
       canvas,
       onStateChange: (state) => {
@@ -413,16 +894,8 @@ document.addEventListener('DOMContentLoaded', () => {
         fallbackMessage = state.checkLabel ?? '';
         updateStatusMessage();
 
-        moveHistory.innerHTML = '';
-        const fragment = document.createDocumentFragment();
-        const recentMoves = state.history.slice(-24);
-        recentMoves.forEach((entry) => {
-          const li = document.createElement('li');
-          li.textContent = entry;
-          fragment.appendChild(li);
-        });
-        moveHistory.appendChild(fragment);
-        moveHistory.scrollTop = moveHistory.scrollHeight;
+        lastHistory = state.history;
+        renderMoveHistory();
 
         const historyCount = state.history.length;
         if (moveLogToggle && moveLogMedia.matches) {
@@ -434,6 +907,75 @@ document.addEventListener('DOMContentLoaded', () => {
         const thinking = Boolean(state.engineThinking);
         engineIndicator.classList.toggle('visible', thinking);
         engineIndicator.setAttribute('aria-hidden', thinking ? 'false' : 'true');
+
+        if (undoBtn) {
+          undoBtn.disabled = !state.canTakeBack;
+        }
+        if (resignBtn) {
+          resignBtn.disabled = !state.canResign;
+        }
+        if (drawOfferBtn) {
+          drawOfferBtn.textContent = state.canAcceptDraw ? 'Accept draw' : 'Offer draw';
+          drawOfferBtn.disabled = !state.canOfferDraw;
+        }
+        if (drawClaimBtn) {
+          drawClaimBtn.hidden = state.claimableDraws.length === 0;
+        }
+        if (hintBtn) {
+          hintBtn.hidden = !state.singlePlayer;
+          hintBtn.disabled = !state.canHint;
+          if (state.hintSearching) {
+            hintBtn.textContent = 'Thinking…';
+          } else {
+            hintBtn.textContent = state.hint?.level === 1 ? 'Show move' : 'Hint';
+          }
+          hintBtn.title = `Hints used this game: ${state.hintsUsed}`;
+        }
+        if (engineRetryBtn) {
+          engineRetryBtn.hidden = !state.engineStalled;
+        }
+        if (autoQueenToggle) {
+          autoQueenToggle.checked = state.autoQueen;
+        }
+        renderPromotionPicker(state.promotion);
+        accessibleBoard?.update(state);
+        renderAnalysis(state.analysis);
+        renderEvaluation(state.evaluation, state.board.orientation);
+        if (reviewBtn) {
+          reviewBtn.hidden = !state.canReview && !state.review;
+          reviewBtn.disabled = !state.canReview;
+        }
+        renderReview(state.review, state.ply);
+        if (document.activeElement === moveInput) {
+          renderMoveSuggestions();
+        }
+        if (variantSelect) {
+          variantSelect.value = state.variant;
+        }
+        if (sideSelect) {
+          sideSelect.value = state.sideChoice;
+        }
+        renderSpectator(state.spectator);
+        if (engineStrength) {
+          engineStrength.hidden = !state.singlePlayer || Boolean(state.spectator);
+          engineStrengthLabel.textContent = `Engine: ${state.engineStrengthLabel}`;
+          renderEngineStrength(state.engineStrength);
+        }
+        if (variantIndicator) {
+          variantIndicator.textContent = state.variantStatus ?? '';
+        }
+        if (clockDisplay) {
+          const { clocks } = state;
+          clockDisplay.hidden = !clocks;
+          if (clocks) {
+            Object.entries(clockElements).forEach(([color, element]) => {
+              const remaining = clocks[color];
+              element.textContent = `${color === 'white' ? 'White' : 'Black'} ${formatClock(remaining)}`;
+              element.classList.toggle('is-active', clocks.active === color);
+              element.classList.toggle('is-low', remaining < 10000);
+            });
+          }
+        }
       },
       onMessage: (message) => {
         activeMessage = message ?? '';
@@ -450,6 +992,19 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     appInstance = app;
+    try {
+      app.autoQueen = window.localStorage.getItem(AUTO_QUEEN_STORAGE_KEY) === '1';
+    } catch (error) {
+      app.autoQueen = false;
+    }
+    try {
+      const storedStrength = window.localStorage.getItem(ENGINE_STRENGTH_STORAGE_KEY);
+      if (storedStrength) {
+        app.setEngineStrength(JSON.parse(storedStrength));
+      }
+    } catch (error) {
+      // Unreadable settings fall back to the defaults.
+    }
 
     try {
       await app.initialize();
@@ -466,6 +1021,8 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       kingPreview?.dispose();
       kingPreview = null;
+      accessibleBoard?.dispose();
+      accessibleBoard = null;
       appInstance = null;
       initializing = false;
       if (card) {
@@ -575,12 +1132,93 @@ document.addEventListener('DOMContentLoaded', () => {
     if (event.key === 'Escape' && !neonContainer?.classList.contains('is-hidden')) {
       cleanupNeonGarden();
     }
+    // "/" jumps to the type-to-move box, as in most chess sites.
+    const typing = event.target instanceof Element && event.target.closest('input, textarea, select');
+    if (event.key === '/' && appInstance && moveInput && !typing) {
+      event.preventDefault();
+      moveLogCollapsed = false;
+      applyMoveLogState();
+      moveInput.focus();
+    }
   });
 
   resetBtn.addEventListener('click', () => {
     appInstance?.reset();
   });
 
+  chess960Btn?.addEventListener('click', () => {
+    appInstance?.startChess960();
+  });
+
+  variantSelect?.addEventListener('change', () => {
+    appInstance?.setVariant(variantSelect.value);
+  });
+
+  resignBtn?.addEventListener('click', () => {
+    if (window.confirm('Resign this game?')) {
+      appInstance?.resign();
+    }
+  });
+
+  drawOfferBtn?.addEventListener('click', () => {
+    appInstance?.offerDraw();
+  });
+
+  hintBtn?.addEventListener('click', () => {
+    appInstance?.requestHint();
+  });
+
+  engineRetryBtn?.addEventListener('click', () => {
+    appInstance?.retryEngine();
+  });
+
+  drawClaimBtn?.addEventListener('click', () => {
+    appInstance?.claimDraw();
+  });
+
+  autoQueenToggle?.addEventListener('change', () => {
+    try {
+      window.localStorage.setItem(AUTO_QUEEN_STORAGE_KEY, autoQueenToggle.checked ? '1' : '0');
+    } catch (error) {
+      // Storage can be unavailable in private browsing; the preference then lasts for the session.
+    }
+    appInstance?.setAutoQueen(autoQueenToggle.checked);
+  });
+
+  sideSelect?.addEventListener('change', () => {
+    appInstance?.setSideChoice(sideSelect.value);
+  });
+
+  timeControlSelect?.addEventListener('change', () => {
+    appInstance?.setTimeControl(timeControlSelect.value || null);
+  });
+
+  undoBtn?.addEventListener('click', () => {
+    appInstance?.takeBack();
+  });
+
+  pgnExportBtn?.addEventListener('click', () => {
+    if (!appInstance) return;
+    const blob = new Blob([appInstance.exportPGN()], { type: 'application/x-chess-pgn' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'mallo-game.pgn';
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  pgnImportBtn?.addEventListener('click', () => {
+    pgnFileInput?.click();
+  });
+
+  pgnFileInput?.addEventListener('change', async () => {
+    const file = pgnFileInput.files?.[0];
+    pgnFileInput.value = '';
+    if (!file || !appInstance) return;
+    appInstance.loadPGN(await file.text());
+  });
+
   const appLaunchers = {
     chess: initializeChess,
     neon: initializeNeonGarden,